@@ -1,37 +1,133 @@
 // checklist.js
 // DM-only checklist + group announcements (poll + "Start Duty" button)
-// Shared EXTRA tasks are GLOBAL across all users.
+// Serves every group registered with /register (CHAT_ID is registered automatically).
+// Shared EXTRA tasks are GLOBAL across all users of a group.
 // Each user has their own completion state for shared EXTRA tasks.
-// Removing an EXTRA task removes it GLOBALLY for all users.
+// Removing an EXTRA task removes it GLOBALLY for all users of that group.
 
 const TelegramBot = require("node-telegram-bot-api");
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
 
 // ===================== Config / env =====================
+// "telegram": the Bot API. "console" / "fake": offline, without a token (see Bot / transport).
+// `node checklist.js --console` is TRANSPORT=console without setting env vars (npm run console).
+const TRANSPORT = (process.env.TRANSPORT || (process.argv.includes("--console") ? "console" : "telegram")).trim().toLowerCase();
+const OFFLINE = TRANSPORT !== "telegram";
+if (!["telegram", "console", "fake"].includes(TRANSPORT)) {
+  console.error(`❌ TRANSPORT must be "telegram", "console" or "fake" (got "${TRANSPORT}").`);
+  process.exit(1);
+}
+
 const BOT_TOKEN = process.env.BOT_TOKEN;
-if (!BOT_TOKEN) {
+if (!BOT_TOKEN && !OFFLINE) {
   console.error("❌ BOT_TOKEN is missing (set it in GitHub/GitLab Secrets).");
   process.exit(1);
 }
 
+// Offline transports only: users in OFFLINE_ADMINS are group admins; TRANSPORT_SCRIPT drives TRANSPORT=fake.
+const OFFLINE_ADMINS = new Set(
+  (process.env.OFFLINE_ADMINS || "1").split(",").map((s) => Number(s.trim())).filter(Boolean)
+);
+const TRANSPORT_SCRIPT = process.env.TRANSPORT_SCRIPT ? path.resolve(process.env.TRANSPORT_SCRIPT) : "";
+const CONSOLE_USER_ID = Number(process.env.CONSOLE_USER_ID || 1);
+
 const VERBOSE = String(process.env.VERBOSE || "false") === "true";
-const GROUP_CHAT_ID = ((process.env.CHAT_ID || "").trim()) || null;
+
+// "polling": a CI job runs the bot for DURATION_MINUTES. "webhook": always-on HTTP server (see Webhook server).
+const BOT_MODE = (process.env.BOT_MODE || "polling").trim().toLowerCase();
+const WEBHOOK_MODE = BOT_MODE === "webhook";
+const WEBHOOK_URL = (process.env.WEBHOOK_URL || "").trim(); // public https URL Telegram posts updates to
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRET || "").trim();
+const PORT = Number(process.env.PORT || 8080);
+const HOST = process.env.HOST || "0.0.0.0";
+
+if (!["polling", "webhook"].includes(BOT_MODE)) {
+  console.error(`❌ BOT_MODE must be "polling" or "webhook" (got "${BOT_MODE}").`);
+  process.exit(1);
+}
+if (WEBHOOK_MODE && (!/^https:\/\//i.test(WEBHOOK_URL) || !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET))) {
+  console.error("❌ Webhook mode needs WEBHOOK_URL (https://…) and WEBHOOK_SECRET (1-256 of A-Z a-z 0-9 _ -).");
+  process.exit(1);
+}
+if (WEBHOOK_MODE && OFFLINE) {
+  console.error(`❌ TRANSPORT=${TRANSPORT} runs in polling mode only.`);
+  process.exit(1);
+}
+// Offline runs get a group of their own when CHAT_ID is not set.
+const GROUP_CHAT_ID = ((process.env.CHAT_ID || "").trim()) || (OFFLINE ? "-100" : null);
 
 const DURATION_MINUTES = Number(process.env.DURATION_MINUTES || 30); // 0 = no auto-stop
 const SLEEP_WARNING_SECONDS = Number(process.env.SLEEP_WARNING_SECONDS || 60);
 
-const ADD_REQUIRE_ALLOWLIST = String(process.env.ADD_REQUIRE_ALLOWLIST || "true") === "true";
+const ADD_REQUIRE_ALLOWLIST = String(process.env.ADD_REQUIRE_ALLOWLIST || "true") === "true"; // false = "duty" may add/remove extras
+
+// Roles (see Roles): the role of users without a /role, and "permission=role,…" overrides of PERMISSIONS.
+const DEFAULT_ROLE = (process.env.DEFAULT_ROLE || "duty").trim().toLowerCase();
+const ROLE_PERMISSIONS = (process.env.ROLE_PERMISSIONS || "").trim();
 const SEND_MORNING_POLL = String(process.env.SEND_MORNING_POLL || "true") === "true";
 
+// IANA zone for dates, due times and schedules; /timezone overrides it per group. The *_SGT_* settings
+// below are read as local times in that zone (their names predate TIMEZONE).
+const TIMEZONE = (process.env.TIMEZONE || "Asia/Singapore").trim();
+if (!isValidTimezone(TIMEZONE)) {
+  console.error(`❌ TIMEZONE "${TIMEZONE}" is not an IANA time zone (e.g. Asia/Singapore).`);
+  process.exit(1);
+}
+
+// Bot strings (help, buttons, morning poll) from LOCALES_DIR/<code>.json; /language overrides it per group.
+const LOCALE = (process.env.LOCALE || "en").trim().toLowerCase();
+const LOCALES_DIR = process.env.LOCALES_DIR
+  ? path.resolve(process.env.LOCALES_DIR)
+  : path.resolve(__dirname, "locales");
+
 const MORNING_POLL_SGT_HOUR = Number(process.env.MORNING_POLL_SGT_HOUR || 6);
 const MORNING_POLL_SGT_MINUTE = Number(process.env.MORNING_POLL_SGT_MINUTE || 0);
 const MORNING_POLL_WINDOW_MINUTES = Number(process.env.MORNING_POLL_WINDOW_MINUTES || 60);
 
+// Attendance summary of the morning poll answers, posted once per local day at/after this time.
+const SEND_ATTENDANCE_SUMMARY = String(process.env.SEND_ATTENDANCE_SUMMARY || "true") === "true";
+const ATTENDANCE_SUMMARY_SGT_HOUR = Number(process.env.ATTENDANCE_SUMMARY_SGT_HOUR || 6);
+const ATTENDANCE_SUMMARY_SGT_MINUTE = Number(process.env.ATTENDANCE_SUMMARY_SGT_MINUTE || 45);
+const ATTENDANCE_KEEP_DAYS = Number(process.env.ATTENDANCE_KEEP_DAYS || 60);
+
 const RESET_CHECKS_ON_BOOT = String(process.env.RESET_CHECKS_ON_BOOT || "false") === "true";
 const CLEAR_ACTIVE_DUTY_ON_BOOT = String(process.env.CLEAR_ACTIVE_DUTY_ON_BOOT || "false") === "true";
 const DROP_PENDING = String(process.env.DROP_PENDING || "true") === "true";
 
+const HISTORY_MAX_SHIFTS = Number(process.env.HISTORY_MAX_SHIFTS || 200);
+const HANDOVER_TIMEOUT_MINUTES = Number(process.env.HANDOVER_TIMEOUT_MINUTES || 5);
+const UNDO_GRACE_MINUTES = Number(process.env.UNDO_GRACE_MINUTES || 2); // ↩️ Undo button after adding/removing an extra
+const TRASH_KEEP_DAYS = Number(process.env.TRASH_KEEP_DAYS || 7); // removed extras stay restorable via /trash
+const CARRY_OVER_ESCALATE_SHIFTS = Number(process.env.CARRY_OVER_ESCALATE_SHIFTS || 3); // 0 = never DM admins
+const OVERDUE_GRACE_MINUTES = Number(process.env.OVERDUE_GRACE_MINUTES || 10);
+const INLINE_CHECKLIST_DEFAULT = String(process.env.INLINE_CHECKLIST_DEFAULT || "false") === "true";
+
+// Admin dashboard (see Admin dashboard); off unless DASHBOARD_PORT is set.
+const DASHBOARD_PORT = Number(process.env.DASHBOARD_PORT || 0);
+const DASHBOARD_HOST = process.env.DASHBOARD_HOST || "127.0.0.1";
+const DASHBOARD_TOKEN = (process.env.DASHBOARD_TOKEN || "").trim();
+if (DASHBOARD_PORT && DASHBOARD_TOKEN.length < 16) {
+  console.error("❌ DASHBOARD_PORT is set but DASHBOARD_TOKEN is missing or shorter than 16 characters.");
+  process.exit(1);
+}
+
+// Duty roster (/roster): the rostered user is put on duty when the bot comes online (and at midnight while it runs).
+const ROSTER_AUTO_ASSIGN = String(process.env.ROSTER_AUTO_ASSIGN || "true") === "true";
+const ROSTER_ACK_MINUTES = Number(process.env.ROSTER_ACK_MINUTES || 10); // 0 = never ping the group
+
+// Webhook mode only: reminder marks count from each duty start; end marks ("-5") need a shift length.
+const SHIFT_MINUTES = Number(process.env.SHIFT_MINUTES || 0);
+// Webhook mode only: the local time each day when the rostered user takes over duty.
+const ROSTER_DAY_START_SGT = (process.env.ROSTER_DAY_START_SGT || "06:00").trim();
+
+// Run reminders, e.g. "30,45,-5!" (see parseReminderSchedule). /reminders overrides this at runtime.
+// The default fires at 10, 20 and 25 min of the default 30-minute run (end mark moves with longer runs).
+const DEFAULT_REMINDER_SCHEDULE = "10,20,-5!";
+const REMINDER_SCHEDULE = (process.env.REMINDER_SCHEDULE || "").trim() || DEFAULT_REMINDER_SCHEDULE;
+
 const BOOT_ID = new Date().toISOString();
 
 // ===================== Baseline checklist =====================
@@ -39,8 +135,107 @@ const BASE_ITEMS_PATH = process.env.BASE_ITEMS_PATH
   ? path.resolve(process.env.BASE_ITEMS_PATH)
   : path.resolve(__dirname, "base_items.json");
 
+/**
+ * base_items.json accepts either the legacy flat list of strings, or a structured file:
+ *
+ * {
+ *   "sections": [
+ *     {
+ *       "title": "Keypress",
+ *       "items": [
+ *         { "id": "keys-accounted", "text": "...", "description": "...", "required": true },
+ *         { "id": "ration-status", "text": "...", "due": ["07:30", { "time": "12:30", "label": "Lunch" }] },
+ *         "plain string items are fine too"
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * A top-level array may also mix strings and item objects (objects may carry a "section").
+ * Items are required unless "required": false (or "optional": true).
+ * Items without an "id" get one derived from their text.
+ * "due" holds local times (the group's time zone); such an item is ticked once per occurrence and resets at the next one.
+ * "evidence": true means the item is ticked by sending a photo (or file) in DM, not by tapping.
+ */
+const slugify = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40) || "item";
+
+function normalizeDueTimes(raw, text) {
+  if (raw === undefined || raw === null) return null;
+
+  const out = (Array.isArray(raw) ? raw : [raw]).map((d) => {
+    const o = typeof d === "string" ? { time: d } : d;
+    const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(o?.time || "").trim());
+    if (!m) throw new Error(`item "${text}" has an invalid due time (use "HH:MM", local time)`);
+
+    const label = typeof o.label === "string" ? o.label.trim() : "";
+    return { time: `${m[1].padStart(2, "0")}:${m[2]}`, label: label || null };
+  });
+
+  out.sort((a, b) => a.time.localeCompare(b.time));
+  return out.length ? out : null;
+}
+
+function normalizeBaseItems(raw) {
+  const entries = [];
+
+  if (Array.isArray(raw)) {
+    for (const x of raw) entries.push({ section: null, x });
+  } else if (raw && typeof raw === "object" && Array.isArray(raw.sections)) {
+    for (const sec of raw.sections) {
+      const title = typeof sec?.title === "string" ? sec.title.trim() : "";
+      if (!title) throw new Error("every section needs a non-empty \"title\"");
+      if (!Array.isArray(sec.items)) throw new Error(`section "${title}" needs an "items" array`);
+      for (const x of sec.items) entries.push({ section: title, x });
+    }
+  } else {
+    throw new Error("base_items.json must be a JSON array of items or an object with a \"sections\" array");
+  }
+
+  const seen = new Set();
+  const items = entries.map(({ section, x }) => {
+    const obj = typeof x === "string" ? { text: x } : x;
+    const text = typeof obj?.text === "string" ? obj.text.trim() : "";
+    if (!text) throw new Error("every item needs a non-empty \"text\"");
+
+    let id;
+    if (obj.id !== undefined && obj.id !== null) {
+      id = String(obj.id).trim();
+      if (!id) throw new Error(`item "${text}" has an empty "id"`);
+      // Ids travel in inline-button callback_data, which Telegram caps at 64 bytes.
+      if (Buffer.byteLength(id) > 48) throw new Error(`item id "${id}" is longer than 48 bytes`);
+      if (seen.has(id)) throw new Error(`duplicate item id "${id}"`);
+    } else {
+      const baseId = slugify(text);
+      id = baseId;
+      for (let k = 2; seen.has(id); k++) id = `${baseId}-${k}`;
+    }
+    seen.add(id);
+
+    const ownSection = typeof obj.section === "string" ? obj.section.trim() : "";
+    const description = typeof obj.description === "string" ? obj.description.trim() : "";
+
+    return {
+      id,
+      text,
+      section: section || ownSection || null,
+      description: description || null,
+      required: obj.required !== false && obj.optional !== true,
+      due: normalizeDueTimes(obj.due, text),
+      evidence: obj.evidence === true,
+    };
+  });
+
+  if (!items.length) throw new Error("base_items.json has no items");
+  return items;
+}
+
 function loadBaseItems() {
-  const fallback = [
+  const fallback = normalizeBaseItems([
     "Update ration status in COS chat for every meal",
     "Update attendance list",
     "Make sure keypress book is closed properly before HOTO",
@@ -49,560 +244,2513 @@ function loadBaseItems() {
     "Ensure tidiness in office",
     "Clear trash",
     "Off all relevant switch",
-  ];
+  ]);
 
   try {
     if (!fs.existsSync(BASE_ITEMS_PATH)) return fallback;
     const raw = fs.readFileSync(BASE_ITEMS_PATH, "utf8");
-    const arr = JSON.parse(raw);
-
-    if (!Array.isArray(arr) || !arr.every((x) => typeof x === "string" && x.trim())) {
-      throw new Error("base_items.json must be a JSON array of non-empty strings");
-    }
-
-    return arr.map((s) => s.trim());
+    return normalizeBaseItems(JSON.parse(raw));
   } catch (e) {
     console.warn("⚠️ Failed to load base_items.json; using fallback BASE_ITEMS. Reason:", e?.message || e);
     return fallback;
   }
 }
 
-const BASE_ITEMS = loadBaseItems();
+let BASE_ITEMS = loadBaseItems(); // replaced when the dashboard saves base_items.json
 
-// ===================== Bot =====================
-const bot = new TelegramBot(BOT_TOKEN, { polling: false });
+// Groups registered with "/register <file>.json" use that list instead. Only files in group_items/ (next to
+// base_items.json) can be named, so /register can never load checklists.json, package.json and the like.
+const GROUP_ITEMS_DIR = path.join(path.dirname(BASE_ITEMS_PATH), "group_items");
+const ITEMS_FILE_RE = /^[\w-]+\.json$/;
+const groupItemsCache = new Map();
 
-// ===================== Persistence =====================
-const DATA_PATH = path.resolve(__dirname, "checklists.json");
+/** Loads and validates a per-group list. Throws with a message fit for the admin who registered it. */
+function loadItemsFile(file) {
+  if (!ITEMS_FILE_RE.test(file)) throw new Error(`"${file}" is not a plain .json file name`);
+  if (groupItemsCache.has(file)) return groupItemsCache.get(file);
 
-function loadData() {
+  const full = path.join(GROUP_ITEMS_DIR, file);
+  if (!fs.existsSync(full)) throw new Error(`${file} was not found in group_items/`);
+  const items = normalizeBaseItems(JSON.parse(fs.readFileSync(full, "utf8")));
+  groupItemsCache.set(file, items);
+  return items;
+}
+
+/** Raw text of a group's items file for the editor (the built-in list if base_items.json does not exist). */
+function itemsFileText(file) {
+  const full = file ? path.join(GROUP_ITEMS_DIR, file) : BASE_ITEMS_PATH;
   try {
-    return JSON.parse(fs.readFileSync(DATA_PATH, "utf8"));
+    return fs.readFileSync(full, "utf8");
   } catch {
-    const init = {};
-    fs.writeFileSync(DATA_PATH, JSON.stringify(init, null, 2));
-    return init;
+    return JSON.stringify(BASE_ITEMS.map(({ id, text }) => ({ id, text })), null, 2) + "\n";
   }
 }
 
-function saveData(obj) {
-  const tmp = DATA_PATH + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
-  fs.renameSync(tmp, DATA_PATH);
+/** Validates like loadBaseItems()/loadItemsFile(), then writes the file and swaps the list in. Throws on bad input. */
+function saveItemsFile(file, text) {
+  const items = normalizeBaseItems(JSON.parse(text));
+  writeFileAtomic(file ? path.join(GROUP_ITEMS_DIR, file) : BASE_ITEMS_PATH, text.endsWith("\n") ? text : `${text}\n`);
+  if (file) groupItemsCache.set(file, items);
+  else BASE_ITEMS = items;
+  return items;
 }
 
-let DB = loadData();
-
-/**
- * Schema:
- * DB = {
- *   duty: { active: { userId, groupChatId, sinceIso } | null },
- *   users: {
- *     [userId]: {
- *       compact: boolean,
- *       removeMode: boolean,
- *       baseDone: boolean[],
- *       extraDone: boolean[],
- *       menuHintBootId: string | null
- *     }
- *   },
- *   sharedExtra: [{ text: string }],
- *   allow: { [groupChatId]: number[] },
- *   meta: {
- *     lastMorningPollDateSgt: "YYYY-MM-DD" | null
- *   }
- * }
- */
-
-function ensureRoot() {
-  if (!DB || typeof DB !== "object") DB = {};
-  if (!DB.duty) DB.duty = { active: null };
-  if (!DB.users) DB.users = {};
-  if (!DB.allow) DB.allow = {};
-  if (!Array.isArray(DB.sharedExtra)) DB.sharedExtra = [];
-  if (!DB.meta) DB.meta = { lastMorningPollDateSgt: null };
-  if (!("lastMorningPollDateSgt" in DB.meta)) DB.meta.lastMorningPollDateSgt = null;
+/** Where each entry of a raw items file sits, in the order normalizeBaseItems() numbers them. */
+function rawItemSlots(raw) {
+  if (Array.isArray(raw)) return raw.map((_, i) => ({ list: raw, i, section: null }));
+  return raw.sections.flatMap((sec) => sec.items.map((_, i) => ({ list: sec.items, i, section: sec })));
 }
 
-ensureRoot();
-
-function normalizeSharedExtra() {
-  ensureRoot();
-  DB.sharedExtra = DB.sharedExtra
-    .filter((x) => x && typeof x.text === "string" && x.text.trim())
-    .map((x) => ({ text: x.text.trim() }));
+/** Applies `edit` to the parsed items file of a group, then validates and saves it like saveItemsFile(). */
+function editItemsFile(g, edit) {
+  const raw = JSON.parse(itemsFileText(g.itemsFile));
+  edit(raw);
+  if (!Array.isArray(raw)) raw.sections = raw.sections.filter((sec) => sec.items.length);
+  return saveItemsFile(g.itemsFile, JSON.stringify(raw, null, 2) + "\n");
 }
 
-function migrateLegacyPerUserExtrasToShared() {
-  ensureRoot();
-  normalizeSharedExtra();
+// ===== Templates =====
+// templates/<name>.json lists the items of one kind of duty (opening, closing, weekend, …) in the format above,
+// plus an optional "title" and "auto" rule(s): { "days": ["sat", "sun"], "from": "HH:MM", "until": "HH:MM" }.
+// Start Duty picks the first template (by name) whose rule matches the group's local time, else the group's
+// own list; the duty user can switch with the DM picker or /template.
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR
+  ? path.resolve(process.env.TEMPLATES_DIR)
+  : path.join(path.dirname(BASE_ITEMS_PATH), "templates");
+// Template item keys carry the name ("b:closing/<id>") into callback_data, hence the short names.
+const TEMPLATE_NAME_RE = /^[a-z0-9-]{1,12}$/;
+let templateCache = null; // { stamp, templates }, reloaded when a file in TEMPLATES_DIR changes
+
+function normalizeAutoRules(raw, name) {
+  if (raw === undefined || raw === null) return [];
+
+  const minutes = (t, field) => {
+    if (t === undefined || t === null) return null;
+    const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(t).trim());
+    if (!m) throw new Error(`template "${name}": auto "${field}" must be HH:MM`);
+    return Number(m[1]) * 60 + Number(m[2]);
+  };
 
-  let changed = false;
+  return (Array.isArray(raw) ? raw : [raw]).map((r) => {
+    const days = r?.days === undefined ? null : [].concat(r.days).map((d) => String(d).trim().toLowerCase().slice(0, 3));
+    if (days && (!days.length || days.some((d) => !WEEKDAYS.includes(d)))) {
+      throw new Error(`template "${name}": auto "days" must list weekdays like "mon"`);
+    }
+    return { days, from: minutes(r?.from, "from"), until: minutes(r?.until, "until") };
+  });
+}
 
-  for (const uid of Object.keys(DB.users)) {
-    const st = DB.users[uid];
-    if (!st || !Array.isArray(st.extra) || !st.extra.length) continue;
-
-    if (!Array.isArray(st.extraDone)) st.extraDone = [];
-    const oldExtra = st.extra;
-
-    for (const item of oldExtra) {
-      const text = typeof item?.text === "string" ? item.text.trim() : "";
-      if (!text) continue;
-
-      let idx = DB.sharedExtra.findIndex((x) => x.text === text);
-      if (idx === -1) {
-        DB.sharedExtra.push({ text });
-        idx = DB.sharedExtra.length - 1;
-
-        for (const otherUid of Object.keys(DB.users)) {
-          const ust = DB.users[otherUid];
-          if (!ust) continue;
-          if (!Array.isArray(ust.extraDone)) ust.extraDone = [];
-          while (ust.extraDone.length < DB.sharedExtra.length - 1) ust.extraDone.push(false);
-          ust.extraDone.push(false);
-        }
-      }
+/** Reads templates/*.json once; a broken file is skipped with a warning so the others still load. */
+function loadTemplates() {
+  const out = new Map();
+  let files;
+  try {
+    files = fs.readdirSync(TEMPLATES_DIR).filter((f) => f.endsWith(".json")).sort();
+  } catch {
+    return out;
+  }
 
-      while (st.extraDone.length < DB.sharedExtra.length) st.extraDone.push(false);
-      if (item.done) st.extraDone[idx] = true;
+  for (const file of files) {
+    const name = file.slice(0, -".json".length);
+    try {
+      if (!TEMPLATE_NAME_RE.test(name)) throw new Error("the name must be 1-12 of a-z 0-9 -");
+      const raw = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), "utf8"));
+      const items = normalizeBaseItems(raw);
+      const long = items.find((it) => Buffer.byteLength(baseKey(it.id, name)) > 62);
+      if (long) throw new Error(`item id "${long.id}" is too long for a template`);
+
+      const title = typeof raw.title === "string" && raw.title.trim() ? raw.title.trim() : name;
+      out.set(name, { name, title, auto: normalizeAutoRules(Array.isArray(raw) ? null : raw.auto, name), items });
+    } catch (e) {
+      console.warn(`⚠️ Template ${file} skipped:`, e?.message || e);
     }
+  }
+  return out;
+}
 
-    delete st.extra;
-    changed = true;
+/** Names and modification times of the template files, so an edited, added or deleted file is noticed. */
+function templatesStamp() {
+  try {
+    return fs
+      .readdirSync(TEMPLATES_DIR)
+      .filter((f) => f.endsWith(".json"))
+      .sort()
+      .map((f) => `${f}@${fs.statSync(path.join(TEMPLATES_DIR, f)).mtimeMs}`)
+      .join("|");
+  } catch {
+    return "";
   }
+}
 
-  if (changed) saveData(DB);
+function listTemplates() {
+  const stamp = templatesStamp();
+  if (templateCache?.stamp !== stamp) templateCache = { stamp, templates: loadTemplates() };
+  return templateCache.templates;
 }
 
-migrateLegacyPerUserExtrasToShared();
+/** The template this group's duty works on, or null for the group's own list. */
+function activeTemplate(g) {
+  return (g?.template && listTemplates().get(g.template)) || null;
+}
 
-function getUserState(uid) {
-  ensureRoot();
-  normalizeSharedExtra();
+/** What Start Duty picks for this group right now (see Templates); null = the group's own list. */
+function autoTemplate(groupId) {
+  const now = nowLocalParts(groupTz(groupId));
+  const day = weekdayOf(now.dateStr);
+  const min = now.hour * 60 + now.minute;
+  const matches = (r) => {
+    const from = r.from ?? 0;
+    const until = r.until ?? 24 * 60;
+    const inWindow = from <= until ? min >= from && min < until : min >= from || min < until; // overnight
+    return (!r.days || r.days.includes(day)) && inWindow;
+  };
 
-  if (!DB.users[uid]) {
-    DB.users[uid] = {
-      compact: false,
-      removeMode: false,
-      baseDone: BASE_ITEMS.map(() => false),
-      extraDone: DB.sharedExtra.map(() => false),
-      menuHintBootId: null,
-    };
-    saveData(DB);
-  }
+  for (const t of listTemplates().values()) if (t.auto.some(matches)) return t.name;
+  return null;
+}
 
-  const st = DB.users[uid];
+/**
+ * Switches the group's duty to template `name` (null = the group's own list). Ticks on the other list are kept.
+ * A `manual` choice outlasts Start Duty and handovers until the auto rules pick another template.
+ */
+function setGroupTemplate(g, name, manual = false) {
+  g.template = name;
+  g.templatePick = manual ? { auto: autoTemplate(g.id) } : null;
+  const shift = getActiveShift(g.id);
+  if (shift && !shift.endIso) shift.template = name;
+  saveData(DB);
+}
 
-  if (typeof st.compact !== "boolean") st.compact = false;
-  if (typeof st.removeMode !== "boolean") st.removeMode = false;
-  if (!("menuHintBootId" in st)) st.menuHintBootId = null;
+function describeAutoRule(r) {
+  const hhmm = (m) => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+  const days = r.days ? r.days.join(",") : "daily";
+  return r.from === null && r.until === null ? days : `${days} ${hhmm(r.from ?? 0)}–${hhmm(r.until ?? 24 * 60)}`;
+}
 
-  if (!Array.isArray(st.baseDone)) st.baseDone = BASE_ITEMS.map(() => false);
-  if (st.baseDone.length !== BASE_ITEMS.length) {
-    const old = st.baseDone;
-    st.baseDone = BASE_ITEMS.map((_, i) => Boolean(old[i]));
+// ===================== Bot / transport =====================
+// TRANSPORT=telegram (default): the Bot API.
+// TRANSPORT=console: a stdin REPL plays users and groups and prints what the bot sends (see startConsole).
+// TRANSPORT=fake: every call is recorded in bot.sent and TRANSPORT_SCRIPT drives the run (see runFakeScript).
+// Offline transports keep TelegramBot for routing (onText, callback_query, …) and answer its API calls locally.
+const OFFLINE_BOT = { id: 1000, is_bot: true, first_name: "Checklist", username: "checklist_offline_bot" };
+
+/** TelegramBot whose API calls go to an offline driver instead of HTTP; "polling" starts the console or script. */
+class OfflineTelegramBot extends TelegramBot {
+  constructor(driver) {
+    super(BOT_TOKEN || "offline", { polling: false });
+    this.offline = driver;
+    this.sent = driver.sent;
   }
 
-  if (!Array.isArray(st.extraDone)) st.extraDone = DB.sharedExtra.map(() => false);
-  if (st.extraDone.length !== DB.sharedExtra.length) {
-    const old = st.extraDone;
-    st.extraDone = DB.sharedExtra.map((_, i) => Boolean(old[i]));
+  // The library's single HTTP exit; every bot.* method goes through it.
+  async _request(method, options = {}) {
+    return this.offline.answer(method, options);
   }
 
-  return st;
-}
-
-function getAllowlist(groupId) {
-  ensureRoot();
-  const k = String(groupId);
-  if (!Array.isArray(DB.allow[k])) DB.allow[k] = [];
-  return DB.allow[k];
-}
-
-function setActiveDuty(userId, groupChatId) {
-  ensureRoot();
-  DB.duty.active = {
-    userId,
-    groupChatId: String(groupChatId),
-    sinceIso: new Date().toISOString(),
-  };
-  saveData(DB);
+  async startPolling() {
+    setTimeout(() => (TRANSPORT === "console" ? startConsole(this.offline) : runFakeScript(this.offline)), 0);
+  }
 }
 
-function clearActiveDuty() {
-  ensureRoot();
-  DB.duty.active = null;
-  saveData(DB);
+function createBot() {
+  if (!OFFLINE) return new TelegramBot(BOT_TOKEN, { polling: false });
+  const offline = createOfflineDriver((update) => bot.processUpdate(update));
+  return new OfflineTelegramBot(offline);
 }
 
-function getActiveDuty() {
-  ensureRoot();
-  return DB.duty.active;
+/** Tells a supergroup from a DM by the sign of the chat id, as Telegram does. */
+function offlineChat(chatId) {
+  const id = Number(chatId);
+  return id < 0 ? { id, type: "supergroup", title: `Group ${id}` } : { id, type: "private" };
 }
 
-// ===================== Shared EXTRA task helpers =====================
-function addSharedExtraTask(text) {
-  ensureRoot();
-  normalizeSharedExtra();
+/**
+ * The offline side of the Bot API: answers the bot's calls, keeps what it sent, and turns user actions
+ * (dm, group, tap, vote) into updates for `processUpdate`. Actions resolve once the handlers have had time to run.
+ */
+function createOfflineDriver(processUpdate) {
+  const sent = [];
+  const keyboards = new Map(); // "chatId:messageId" -> inline keyboard rows
+  const names = new Map(); // user id -> first name
+  let lastKeyboard = null;
+  let lastPollId = null;
+  let nextMessageId = 1;
+  let nextUpdateId = 1;
+  const listeners = [];
+
+  const user = (uid) => ({
+    id: Number(uid),
+    is_bot: false,
+    first_name: names.get(Number(uid)) || `User${uid}`,
+    username: `user${uid}`,
+  });
+  const message = (chatId, extra = {}) => ({
+    message_id: nextMessageId++,
+    date: Math.floor(Date.now() / 1000),
+    chat: offlineChat(chatId),
+    ...extra,
+  });
+  const json = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+
+  function answer(method, options) {
+    const params = { ...(options.form || options.qs || {}) };
+    const files = Object.entries(options.formData || {}).map(([field, f]) => ({
+      field,
+      filename: f?.options?.filename || field,
+      size: f?.value?.length ?? null,
+    }));
+    const chatId = params.chat_id;
+    let result = true;
+
+    if (method === "getMe") result = OFFLINE_BOT;
+    else if (method === "getChat") result = offlineChat(chatId);
+    else if (method === "getChatMember") {
+      const uid = Number(params.user_id);
+      result = { status: OFFLINE_ADMINS.has(uid) ? "administrator" : "member", user: user(uid) };
+    } else if (method === "getChatAdministrators") {
+      result = [...OFFLINE_ADMINS].map((uid) => ({ status: "administrator", user: user(uid) }));
+    } else if (method === "getFile") {
+      result = { file_id: params.file_id, file_unique_id: params.file_id, file_path: `offline/${params.file_id}` };
+    } else if (method === "sendPoll") {
+      result = message(chatId, {
+        poll: { id: `poll${nextMessageId}`, question: params.question, options: json(params.options) },
+      });
+      lastPollId = result.poll.id;
+    } else if (method === "sendMediaGroup") {
+      result = json(params.media).map(() => message(chatId));
+    } else if (method.startsWith("send")) {
+      result = message(chatId, { text: params.text, caption: params.caption });
+    } else if (method === "editMessageText" || method === "editMessageReplyMarkup") {
+      const edited = { message_id: Number(params.message_id), date: Math.floor(Date.now() / 1000), chat: offlineChat(chatId) };
+      result = { ...edited, text: params.text };
+    }
 
-  const clean = String(text || "").trim();
-  if (!clean) return false;
+    const messageId = Array.isArray(result) ? null : result?.message_id;
+    const markup = params.reply_markup ? json(params.reply_markup) : null;
+    if (messageId && (markup?.inline_keyboard || method.startsWith("edit"))) {
+      const rows = markup?.inline_keyboard || [];
+      keyboards.set(`${chatId}:${messageId}`, rows);
+      if (rows.length) lastKeyboard = { chatId: Number(chatId), messageId, rows };
+    }
 
-  if (DB.sharedExtra.some((x) => x.text === clean)) return false;
+    const call = { method, params: { ...params, reply_markup: markup || undefined }, files, result };
+    sent.push(call);
+    for (const fn of listeners) fn(call);
+    return result;
+  }
 
-  DB.sharedExtra.push({ text: clean });
+  async function deliver(update) {
+    processUpdate({ update_id: nextUpdateId++, ...update });
+    await sleep(50);
+  }
 
-  for (const uid of Object.keys(DB.users)) {
-    const st = getUserState(uid);
-    st.extraDone.push(false);
+  /** Finds the inline button to press: its 1-based number on the latest keyboard, or raw callback data. */
+  function pickButton(which, chatId) {
+    let kb = lastKeyboard;
+    if (chatId != null) {
+      const last = [...keyboards].reverse().find(([k, rows]) => k.startsWith(`${chatId}:`) && rows.length);
+      kb = last && { chatId: Number(chatId), messageId: Number(last[0].split(":")[1]), rows: last[1] };
+    }
+    const buttons = kb ? kb.rows.flat() : [];
+    const byNumber = /^\d+$/.test(String(which)) ? buttons[Number(which) - 1] : null;
+    const data = byNumber ? byNumber.callback_data : String(which);
+    return { data, chatId: kb?.chatId ?? Number(chatId), messageId: kb?.messageId ?? 0 };
   }
 
-  saveData(DB);
-  return true;
+  return {
+    sent,
+    answer,
+    user,
+    onSend: (fn) => listeners.push(fn),
+    setName: (uid, name) => names.set(Number(uid), name),
+    lastKeyboard: () => lastKeyboard,
+
+    dm: (uid, text, extra = {}) =>
+      deliver({ message: { ...message(uid), from: user(uid), text, ...extra } }),
+    group: (uid, text, chatId = GROUP_CHAT_ID, extra = {}) =>
+      deliver({ message: { ...message(chatId), from: user(uid), text, ...extra } }),
+    tap: (uid, which, chatId = null) => {
+      const b = pickButton(which, chatId);
+      return deliver({
+        callback_query: {
+          id: `cq${nextUpdateId}`,
+          from: user(uid),
+          chat_instance: String(b.chatId),
+          data: b.data,
+          message: { message_id: b.messageId, date: Math.floor(Date.now() / 1000), chat: offlineChat(b.chatId) },
+        },
+      });
+    },
+    vote: (uid, optionIds) =>
+      deliver({ poll_answer: { poll_id: lastPollId, user: user(uid), option_ids: [].concat(optionIds).map(Number) } }),
+  };
 }
 
-function removeSharedExtraTaskAt(extraIndex) {
-  ensureRoot();
-  normalizeSharedExtra();
+// ----- Console transport -----
+const CONSOLE_HELP = [
+  "Type a message to DM the bot as the current user. Lines starting with ! are console commands:",
+  "  !as <id> [name]      act as another user (admins: OFFLINE_ADMINS)",
+  "  !group <text>        send <text> in the group (CHAT_ID)",
+  "  !tap <n|data> [chat] press button n of the latest inline keyboard (or send raw callback data)",
+  "  !vote <n…>           answer the latest poll (options numbered from 1)",
+  "  !help  !quit",
+].join("\n");
+
+/** HTML replies as they would read in the app. */
+function consoleText(html) {
+  return String(html || "")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+}
+
+function printOfflineCall({ method, params, files }) {
+  if (!/^(send|edit|answerCallbackQuery)/.test(method)) return;
+  const where = Number(params.chat_id) < 0 ? `group ${params.chat_id}` : `DM ${params.chat_id}`;
+
+  if (method === "answerCallbackQuery") {
+    if (params.text) console.log(`  (${params.show_alert ? "alert" : "toast"}) ${params.text}`);
+    return;
+  }
+  const body = method === "sendPoll" ? `📊 ${params.question}` : params.text || params.caption || "";
+  console.log(`\n[${where}] ${method === "sendMessage" ? "" : `(${method}) `}${consoleText(body)}`);
+  if (method === "sendPoll") {
+    JSON.parse(params.options).forEach((o, i) => console.log(`   ${i + 1}) ${o.text ?? o}`));
+  }
+  for (const f of files) console.log(`   📎 ${f.filename} (${f.size} bytes)`);
+
+  const markup = params.reply_markup;
+  if (markup?.inline_keyboard) {
+    let n = 0;
+    for (const row of markup.inline_keyboard) console.log("   " + row.map((b) => `[${++n}] ${b.text}`).join("  "));
+  } else if (markup?.keyboard) {
+    console.log("   keys: " + markup.keyboard.flat().map((b) => b.text ?? b).join(" | "));
+  }
+}
 
-  if (extraIndex < 0 || extraIndex >= DB.sharedExtra.length) return false;
+/** Reads stdin line by line until !quit or end of input, then shuts down like a finished run. */
+async function startConsole(offline) {
+  const readline = require("readline");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  let uid = CONSOLE_USER_ID;
 
-  DB.sharedExtra.splice(extraIndex, 1);
+  offline.onSend(printOfflineCall);
+  console.log(`\n🖥️ Console transport. You are user ${uid} (group ${GROUP_CHAT_ID}).\n${CONSOLE_HELP}`);
 
-  for (const uid of Object.keys(DB.users)) {
-    const st = getUserState(uid);
-    if (Array.isArray(st.extraDone)) {
-      st.extraDone.splice(extraIndex, 1);
-    } else {
-      st.extraDone = DB.sharedExtra.map(() => false);
+  const prompt = () => {
+    rl.setPrompt(`${uid}> `);
+    rl.prompt();
+  };
+  prompt();
+  for await (const line of rl) {
+    const text = line.trim();
+    if (!text) {
+      prompt();
+      continue;
+    }
+    const [cmd, ...args] = text.split(/\s+/);
+    try {
+      if (cmd === "!quit") {
+        break;
+      } else if (cmd === "!help") {
+        console.log(CONSOLE_HELP);
+      } else if (cmd === "!as" && /^\d+$/.test(args[0] || "")) {
+        uid = Number(args[0]);
+        if (args[1]) offline.setName(uid, args.slice(1).join(" "));
+        console.log(`You are user ${uid}${OFFLINE_ADMINS.has(uid) ? " (group admin)" : ""}.`);
+      } else if (cmd === "!group" && args.length) {
+        await offline.group(uid, text.slice(cmd.length).trim());
+      } else if (cmd === "!tap" && args.length) {
+        await offline.tap(uid, args[0], args[1] ?? null);
+      } else if (cmd === "!vote" && args.length) {
+        await offline.vote(uid, args.map((n) => Number(n) - 1));
+      } else if (cmd.startsWith("!")) {
+        console.log(`Unknown console command. ${CONSOLE_HELP}`);
+      } else {
+        await offline.dm(uid, text);
+      }
+    } catch (e) {
+      console.error("console error:", e);
     }
+    prompt();
   }
+  rl.close();
+  await gracefulShutdown("console closed");
+}
 
-  saveData(DB);
-  return true;
+// ----- Fake transport -----
+/**
+ * Runs TRANSPORT_SCRIPT, a module exporting `async (offline) => {…}`: offline.dm/group/tap/vote act as users,
+ * offline.sent holds every call the bot made ({method, params, files, result}). A throw fails the run.
+ * The script may return a function: it runs after the shutdown messages were sent, to check those too.
+ */
+const shutdownChecks = []; // run by gracefulShutdown just before exit
+
+async function runFakeScript(offline) {
+  if (VERBOSE) offline.onSend(printOfflineCall);
+  if (!TRANSPORT_SCRIPT) {
+    console.log("🧪 Fake transport: no TRANSPORT_SCRIPT, running until DURATION_MINUTES.");
+    return;
+  }
+
+  const name = path.basename(TRANSPORT_SCRIPT);
+  const fail = (e) => {
+    console.error(`❌ ${name} failed:`, e);
+    process.exitCode = 1;
+  };
+  try {
+    const afterShutdown = await require(TRANSPORT_SCRIPT)(offline);
+    shutdownChecks.push(async () => {
+      try {
+        if (typeof afterShutdown === "function") await afterShutdown();
+        console.log(`🧪 ${name} passed (${offline.sent.length} calls recorded).`);
+      } catch (e) {
+        fail(e);
+      }
+    });
+  } catch (e) {
+    fail(e);
+  }
+  await gracefulShutdown("script done");
 }
 
-// ===================== Boot reset helpers =====================
-function resetChecksForUser(uid) {
-  const st = getUserState(uid);
-  st.baseDone = BASE_ITEMS.map(() => false);
-  st.extraDone = DB.sharedExtra.map(() => false);
-  st.removeMode = false;
-  saveData(DB);
+const bot = createBot();
+
+// ===================== Persistence =====================
+// The DB object lives in memory; a storage backend loads it once and persists it on every saveData().
+// STORAGE_BACKEND=json (default): checklists.json, written atomically, with rolling backups.
+// STORAGE_BACKEND=sqlite: SQLITE_PATH via node:sqlite (Node 22.5+); imports checklists.json on first start.
+// Offline transports use checklists.offline.* instead, so a rehearsal never touches live data.
+const DATA_NAME = OFFLINE ? "checklists.offline" : "checklists";
+const DATA_PATH = path.resolve(__dirname, `${DATA_NAME}.json`);
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").trim().toLowerCase();
+const SQLITE_PATH = process.env.SQLITE_PATH
+  ? path.resolve(process.env.SQLITE_PATH)
+  : path.resolve(__dirname, `${DATA_NAME}.sqlite`);
+const BACKUP_DIR = path.resolve(__dirname, `${DATA_NAME}.backups`);
+const BACKUP_KEEP = Number(process.env.DATA_BACKUP_KEEP || 10); // 0 = no backups
+const BACKUP_INTERVAL_MINUTES = Number(process.env.DATA_BACKUP_INTERVAL_MINUTES || 60);
+
+/** Reads a checklists.json-style file. Anything but a JSON object counts as corrupt. */
+function parseDataFile(file) {
+  const obj = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("top level is not a JSON object");
+  return obj;
 }
 
-function resetAllUsersChecks() {
-  ensureRoot();
-  for (const uid of Object.keys(DB.users)) {
-    const st = getUserState(uid);
-    st.baseDone = BASE_ITEMS.map(() => false);
-    st.extraDone = DB.sharedExtra.map(() => false);
-    st.removeMode = false;
+// Readers see the old file or the new one, never half of one. This does not make two writers safe; see acquireDataLock().
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
-  saveData(DB);
+  fs.renameSync(tmp, file);
 }
 
-// ===================== Utils =====================
-const escapeHtml = (s) =>
-  String(s).replace(/[&<>"']/g, (m) => ({
-    "&": "&amp;",
-    "<": "&lt;",
-    ">": "&gt;",
-    '"': "&quot;",
-    "'": "&#39;",
-  }[m]));
-
-const truncate = (s, n) => (s && s.length > n ? s.slice(0, n - 1) + "…" : s);
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const pidAlive = (pid) => {
+  try {
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+};
 
-async function safeGetChatMemberName(chatId, userId) {
+/**
+ * One bot process per data file: two would each keep their own DB object and overwrite each other's saves.
+ * A lock left by a process that is gone is taken over. Returns the release function.
+ */
+function acquireDataLock(file) {
+  const lock = `${file}.lock`;
   try {
-    const m = await bot.getChatMember(chatId, userId);
-    const u = m?.user || {};
-    return [u.first_name, u.last_name].filter(Boolean).join(" ") || u.username || `id:${userId}`;
-  } catch {
-    return `id:${userId}`;
+    fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+    const pid = Number(fs.readFileSync(lock, "utf8"));
+    if (pid && pid !== process.pid && pidAlive(pid)) {
+      throw new Error(`${file} is in use by process ${pid}; stop it first (or delete ${lock} if it is not a bot)`);
+    }
+    fs.writeFileSync(lock, String(process.pid));
   }
+  return () => fs.rmSync(lock, { force: true });
 }
 
-async function isAdmin(chatId, userId) {
+// ----- JSON backend -----
+function listBackups() {
   try {
-    const m = await bot.getChatMember(chatId, userId);
-    return m && (m.status === "creator" || m.status === "administrator");
+    return fs
+      .readdirSync(BACKUP_DIR)
+      .filter((f) => /^checklists-.+\.json$/.test(f))
+      .sort()
+      .reverse()
+      .map((f) => path.join(BACKUP_DIR, f));
   } catch {
-    return false;
+    return [];
   }
 }
 
-async function canUserModifyExtras(uid) {
-  if (!ADD_REQUIRE_ALLOWLIST) return true;
-  if (!GROUP_CHAT_ID) return false;
-
-  if (await isAdmin(GROUP_CHAT_ID, uid)) return true;
-  const allow = getAllowlist(GROUP_CHAT_ID);
-  return allow.includes(uid);
+function writeBackup(text) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  writeFileAtomic(path.join(BACKUP_DIR, `checklists-${stamp}.json`), text);
+  for (const old of listBackups().slice(BACKUP_KEEP)) fs.rmSync(old, { force: true });
 }
 
-// ===== SGT time helpers =====
-function nowSgtParts() {
-  const now = new Date();
-  const sgtMs = now.getTime() + 8 * 60 * 60 * 1000;
-  const sgt = new Date(sgtMs);
+function createJsonStore() {
+  const release = acquireDataLock(DATA_PATH);
+  let lastBackupMs = 0;
 
-  const yyyy = sgt.getUTCFullYear();
-  const mm = String(sgt.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(sgt.getUTCDate()).padStart(2, "0");
-  const dateStr = `${yyyy}-${mm}-${dd}`;
+  const backup = (text) => {
+    if (BACKUP_KEEP <= 0) return;
+    lastBackupMs = Date.now();
+    try {
+      writeBackup(text);
+    } catch (e) {
+      console.warn("⚠️ Backup failed:", e?.message || e);
+    }
+  };
 
-  const hour = sgt.getUTCHours();
-  const minute = sgt.getUTCMinutes();
-  const second = sgt.getUTCSeconds();
+  return {
+    name: "json",
 
-  return { dateStr, hour, minute, second };
-}
+    // A corrupt file is set aside and the newest readable backup restored; it is never reset to {}.
+    load() {
+      if (!fs.existsSync(DATA_PATH)) {
+        writeFileAtomic(DATA_PATH, "{}");
+        return {};
+      }
 
-function minutesSinceSgt(h, m, targetH, targetM) {
-  return h * 60 + m - (targetH * 60 + targetM);
-}
+      try {
+        const obj = parseDataFile(DATA_PATH);
+        backup(JSON.stringify(obj, null, 2));
+        return obj;
+      } catch (e) {
+        const kept = `${DATA_PATH}.corrupt-${Date.now()}`;
+        fs.copyFileSync(DATA_PATH, kept);
+        console.error(`❌ ${DATA_PATH} is corrupt (${e.message}). Kept a copy at ${kept}.`);
 
-function shouldSendMorningPollNow() {
-  if (!SEND_MORNING_POLL) return false;
+        for (const file of listBackups()) {
+          try {
+            const obj = parseDataFile(file);
+            writeFileAtomic(DATA_PATH, JSON.stringify(obj, null, 2));
+            console.error(`↩️ Restored ${DATA_PATH} from backup ${file}.`);
+            return obj;
+          } catch {}
+        }
+        throw new Error(`no readable backup in ${BACKUP_DIR}; fix ${DATA_PATH} by hand (or delete it to start empty)`);
+      }
+    },
 
-  const { hour, minute } = nowSgtParts();
-  const deltaMin = minutesSinceSgt(hour, minute, MORNING_POLL_SGT_HOUR, MORNING_POLL_SGT_MINUTE);
+    save(obj) {
+      const text = JSON.stringify(obj, null, 2);
+      writeFileAtomic(DATA_PATH, text);
+      if (Date.now() - lastBackupMs >= BACKUP_INTERVAL_MINUTES * 60 * 1000) backup(text);
+    },
 
-  return deltaMin >= 0 && deltaMin < MORNING_POLL_WINDOW_MINUTES;
+    close() {
+      release();
+    },
+  };
 }
 
-function alreadySentMorningPollToday() {
-  ensureRoot();
-  const { dateStr } = nowSgtParts();
-  return DB.meta.lastMorningPollDateSgt === dateStr;
-}
+// ----- SQLite backend -----
+// One JSON row per record, so a save only rewrites the users/groups/shifts that changed. Top-level keys
+// without a table of their own (meta, pre-migration leftovers) go to `kv`.
+const SQLITE_RECORD_TABLES = ["users", "groups", "allow"];
+
+// PRAGMA user_version = number of migrations applied. Append new steps; never edit old ones.
+const SQLITE_MIGRATIONS = [
+  `CREATE TABLE users (id TEXT PRIMARY KEY, json TEXT NOT NULL);
+   CREATE TABLE groups (id TEXT PRIMARY KEY, json TEXT NOT NULL);
+   CREATE TABLE allow (id TEXT PRIMARY KEY, json TEXT NOT NULL);
+   CREATE TABLE history (id TEXT PRIMARY KEY, group_id TEXT, start_iso TEXT NOT NULL, json TEXT NOT NULL);
+   CREATE INDEX history_group ON history (group_id, start_iso);
+   CREATE TABLE kv (key TEXT PRIMARY KEY, json TEXT NOT NULL);`,
+];
+
+function openSqlite() {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require("node:sqlite"));
+  } catch {
+    throw new Error(
+      `STORAGE_BACKEND=sqlite needs node:sqlite (Node 22.5+, with --experimental-sqlite before 22.13); this is Node ${process.versions.node}`
+    );
+  }
 
-function markMorningPollSentToday() {
-  ensureRoot();
-  const { dateStr } = nowSgtParts();
-  DB.meta.lastMorningPollDateSgt = dateStr;
-  saveData(DB);
+  const db = new DatabaseSync(SQLITE_PATH);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000; PRAGMA synchronous = NORMAL;");
+
+  const version = db.prepare("PRAGMA user_version").get().user_version;
+  for (let v = version; v < SQLITE_MIGRATIONS.length; v++) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      db.exec(SQLITE_MIGRATIONS[v]);
+      db.exec(`PRAGMA user_version = ${v + 1}`);
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw new Error(`SQLite migration ${v + 1} failed: ${e.message}`);
+    }
+    console.log(`🗄️ SQLite schema migrated to version ${v + 1}.`);
+  }
+  return db;
 }
 
-async function sendMenuHintOncePerBoot(uid) {
-  const st = getUserState(uid);
-  if (st.menuHintBootId === BOOT_ID) return;
+/** Every row the DB object maps to, keyed "table\tid". */
+function sqliteRows(obj) {
+  const rows = new Map();
+  for (const [key, value] of Object.entries(obj)) {
+    if (SQLITE_RECORD_TABLES.includes(key) && value && typeof value === "object") {
+      for (const [id, rec] of Object.entries(value)) rows.set(`${key}\t${id}`, { table: key, id, rec });
+    } else if (key === "history" && Array.isArray(value)) {
+      for (const rec of value) rows.set(`history\t${rec.id}`, { table: "history", id: rec.id, rec });
+    } else {
+      rows.set(`kv\t${key}`, { table: "kv", id: key, rec: value });
+    }
+  }
+  return rows;
+}
 
-  await bot.sendMessage(
-    uid,
-    "If your checklist buttons are missing or unresponsive, send /menu to restore the checklist menu."
-  );
+function createSqliteStore() {
+  const release = acquireDataLock(SQLITE_PATH);
+  const db = openSqlite();
+  const written = new Map(); // "table\tid" → JSON last written, so unchanged rows are skipped
 
-  st.menuHintBootId = BOOT_ID;
-  saveData(DB);
+  const upsert = {
+    kv: db.prepare("INSERT INTO kv (key, json) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET json = excluded.json"),
+    history: db.prepare(
+      "INSERT INTO history (id, group_id, start_iso, json) VALUES (?, ?, ?, ?) " +
+        "ON CONFLICT (id) DO UPDATE SET group_id = excluded.group_id, start_iso = excluded.start_iso, json = excluded.json"
+    ),
+  };
+  const remove = { kv: db.prepare("DELETE FROM kv WHERE key = ?"), history: db.prepare("DELETE FROM history WHERE id = ?") };
+  for (const t of SQLITE_RECORD_TABLES) {
+    upsert[t] = db.prepare(`INSERT INTO ${t} (id, json) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET json = excluded.json`);
+    remove[t] = db.prepare(`DELETE FROM ${t} WHERE id = ?`);
+  }
+
+  // Rebuilds the DB object and `written` from what is actually stored.
+  const readAll = () => {
+    written.clear();
+    const obj = {};
+    for (const t of SQLITE_RECORD_TABLES) {
+      obj[t] = {};
+      for (const r of db.prepare(`SELECT id, json FROM ${t}`).all()) {
+        obj[t][r.id] = JSON.parse(r.json);
+        written.set(`${t}\t${r.id}`, r.json);
+      }
+    }
+    obj.history = db.prepare("SELECT id, json FROM history ORDER BY start_iso, id").all().map((r) => {
+      written.set(`history\t${r.id}`, r.json);
+      return JSON.parse(r.json);
+    });
+    for (const r of db.prepare("SELECT key, json FROM kv").all()) {
+      obj[r.key] = JSON.parse(r.json);
+      written.set(`kv\t${r.key}`, r.json);
+    }
+    return obj;
+  };
+
+  const sqliteStore = {
+    name: "sqlite",
+
+    load() {
+      const obj = readAll();
+
+      // One-shot import: an empty database takes over an existing checklists.json.
+      if (!written.size && fs.existsSync(DATA_PATH)) {
+        const imported = parseDataFile(DATA_PATH);
+        sqliteStore.save(imported);
+        console.log(
+          `🗄️ Imported ${DATA_PATH} into ${SQLITE_PATH} ` +
+            `(${Object.keys(imported.users || {}).length} users, ${(imported.history || []).length} shifts).`
+        );
+        return imported;
+      }
+      return obj;
+    },
+
+    save(obj) {
+      const rows = sqliteRows(obj);
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        for (const [k, { table, id, rec }] of rows) {
+          const json = JSON.stringify(rec);
+          if (written.get(k) === json) continue;
+          if (table === "history") upsert.history.run(id, rec.groupChatId ?? null, rec.startIso || "", json);
+          else upsert[table].run(id, json);
+          written.set(k, json);
+        }
+        for (const k of [...written.keys()]) {
+          if (rows.has(k)) continue;
+          const [table, id] = k.split("\t");
+          remove[table].run(id);
+          written.delete(k);
+        }
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        readAll(); // the next save diffs against what is really stored
+        throw e;
+      }
+    },
+
+    close() {
+      db.close();
+      release();
+    },
+  };
+  return sqliteStore;
 }
 
-// ===================== Help text =====================
-function helpText(isDm) {
-  const scope = isDm ? "DM checklist" : "Group chat";
-  const allowNote = ADD_REQUIRE_ALLOWLIST
-    ? "Adding/removing EXTRA tasks is restricted: only /allow-listed users (or group admins) may add/remove."
-    : "Allowlist enforcement is OFF: anyone can add/remove EXTRA tasks in DM.";
+let store;
 
-  return [
-    `<b>Checklist Bot — Help</b>`,
-    ``,
-    `<b>Scope</b>: ${scope}`,
-    ``,
-    `<b>Core flow</b>`,
-    `• Group: Bot posts <i>Start Duty</i> button whenever it comes online.`,
-    `• Tap <i>Start Duty</i> → Bot DMs you the checklist.`,
-    `• Group receives status reminders and a final offline status.`,
-    ``,
-    `<b>DM checklist controls</b>`,
-    `• Tap item buttons (#1, #2, …) to toggle ✅/⬜️`,
-    `• ➕ Add — add GLOBAL EXTRA task (subject to allowlist)`,
-    `• 🧹 Clear checks — uncheck your own checklist`,
-    `• 🗑 Remove mode — remove GLOBAL EXTRA tasks only`,
-    `• 📋 Compact view / 📝 Full view — switch display`,
-    `• 🔄 Refresh — redraw checklist`,
-    ``,
-    `<b>Commands</b>`,
-    `• /start — start DM session + show checklist`,
-    `• /help — show this help`,
-    `• /menu — restore menu keyboard (use if Telegram hides it)`,
-    `• /clear — clear all your checks`,
-    ``,
-    `<b>Group admin commands</b>`,
-    `• /allow — (reply to a user) allow them to add/remove GLOBAL EXTRA tasks in DM`,
-    `• /deny — (reply to a user) revoke allowance`,
-    `• /whoallowed — list allowlisted users`,
-    ``,
-    `<b>Automation</b>`,
-    `• Morning poll: sends within ${MORNING_POLL_WINDOW_MINUTES} minutes after ${String(MORNING_POLL_SGT_HOUR).padStart(
-      2,
-      "0"
-    )}:${String(MORNING_POLL_SGT_MINUTE).padStart(2, "0")} SGT (once per SGT day).`,
-    `• Run reminders: 30/45/50 min — posts checklist status to group and DM duty user.`,
-    ``,
-    `<b>Allowlist policy</b>`,
-    `• ${allowNote}`,
-  ].join("\n");
+function loadData() {
+  try {
+    if (STORAGE_BACKEND === "sqlite") store = createSqliteStore();
+    else if (STORAGE_BACKEND === "json") store = createJsonStore();
+    else throw new Error(`STORAGE_BACKEND must be "json" or "sqlite" (got "${STORAGE_BACKEND}")`);
+    return store.load();
+  } catch (e) {
+    console.error("❌ Could not load data:", e?.message || e);
+    process.exit(1);
+  }
 }
 
-// ===================== Checklist stats/render =====================
-function checklistStats(uid) {
-  const st = getUserState(uid);
-  const total = BASE_ITEMS.length + DB.sharedExtra.length;
-  const doneCount = st.baseDone.filter(Boolean).length + st.extraDone.filter(Boolean).length;
-  return { total, doneCount, complete: total > 0 && doneCount === total };
+function saveData(obj) {
+  store.save(obj);
 }
 
-function formatChecklist(uid) {
-  const st = getUserState(uid);
+let DB = loadData();
 
-  const baseLines = BASE_ITEMS.map((text, i) => {
-    const done = !!st.baseDone[i];
-    return `${i + 1}. ${done ? "✅" : "⬜️"} ${escapeHtml(text)}`;
-  });
+/**
+ * Schema:
+ * DB = {
+ *   groups: {
+ *     [groupChatId]: {
+ *       id, title: string | null, registeredIso, registeredBy: number | null,
+ *       itemsFile: string | null,           // /register <file>.json; null = base_items.json
+ *       template: string | null,            // templates/<name>.json of the current duty; null = itemsFile
+ *       templatePick: { auto: string | null } | null,   // set when `template` was picked by hand (see setGroupTemplate)
+ *       carryOver: {                       // required items the last shift ended with unticked (see Carry-over)
+ *         shiftId, fromUserId, fromName, endIso,
+ *         items: [{ key: itemKey, text, section, shifts: number, sinceIso, escalatedIso: string | null }]
+ *       } | null,
+ *       roles: { [userId]: "viewer" | "duty" | "editor" | "admin" },   // set via /role; others get DEFAULT_ROLE
+ *       admins: { [userId]: true },             // Telegram admins as isAdmin() last saw them (see knownRole)
+ *       sharedExtra: [{
+ *         id: string, text: string, addedIso?, addedBy?: { userId, name },
+ *         from?: "YYYY-MM-DD", until?: "YYYY-MM-DD",   // local dates; archived to trash after `until`
+ *         repeat?: "daily" | ["mon", …],             // recurring: ticks reset daily, weekdays limit the days shown
+ *         assignee?: { type: "user", userId, name } | { type: "role", role } | { type: "duty" }   // else everyone
+ *       }],
+ *       trash: [{                          // removed extras, newest first (see /trash)
+ *         ...extra, position, deletedIso, deletedBy: { userId, name } | null,
+ *         done: { [userId]: doneValue }, evidence: { [userId]: evidence }   // as they were at removal
+ *       }],
+ *       nextExtraId: number,
+ *       duty: {
+ *         active: { userId, groupChatId, sinceIso, shiftId } | null,
+ *         handover: { fromUserId, toUserId, toName, groupChatId, requestedIso, timeoutSentIso? } | null
+ *       },
+ *       poll: { enabled: boolean, hour: number | null, minute: number | null },   // null = MORNING_POLL_SGT_* env
+ *       timezone: string | null,           // IANA zone set with /timezone; null = TIMEZONE
+ *       locale: string | null,             // locale code set with /language; null = LOCALE
+ *       lastMorningPollDateSgt: "YYYY-MM-DD" | null,   // like every date here: in the group's time zone
+ *       reminderSchedule: string | null,   // set via /reminders; null = REMINDER_SCHEDULE env
+ *       historyTrimmedIso: string | null,  // start of the newest shift dropped by HISTORY_MAX_SHIFTS
+ *       remindersSent: { shiftId, marks: string[] } | null,   // webhook mode: marks already sent this shift
+ *       overdueAlerts: { ["YYYY-MM-DD HH:MM itemKey"]: iso },
+ *       attendance: {
+ *         ["YYYY-MM-DD"]: {
+ *           pollId, chatId, messageId, sentIso, options: string[],   // as sent (per locale)
+ *           answers: { [userId]: { name, option: string | null, atIso } },   // option null = vote retracted
+ *           summarySentIso: string | null
+ *         }
+ *       },
+ *       roster: {
+ *         weekly: { ["sun" | "mon" | … | "sat"]: { userId, name } },
+ *         dates: { ["YYYY-MM-DD"]: { userId, name } },        // overrides the weekly slot for that day
+ *         ack: { dateStr, userId, atIso } | null,              // rostered user confirmed today's duty
+ *         ackPingDue: { dateStr, userId, atIso } | null,       // ping the group at atIso unless acknowledged by then
+ *         assignedDateSgt: "YYYY-MM-DD" | null,                // webhook mode: last daily hand-over to the roster
+ *         swaps: [{
+ *           id, messageId, requestedIso,
+ *           dateA, userA: { userId, name }, dateB: string | null, userB: { userId, name },
+ *           acceptedIso: string | null, approvedBy: string | null
+ *         }]
+ *       }
+ *     }
+ *   },
+ *   users: {
+ *     [userId]: {
+ *       groupId: string | null,            // whose checklist this user works on (set by Start Duty)
+ *       compact: boolean,
+ *       removeMode: boolean,
+ *       done: { [itemKey]: true },        // itemKey = "b:<base id>" | "b:<template>/<id>" | "x:<extra id>"
+ *       evidence: { [itemKey]: { type: "photo" | "document", fileId, name?, atIso } },
+ *       notes: { [itemKey]: { text, atIso } },   // remarks on items ("done, but bin full"); cleared with the checks
+ *       awaitingEvidence: itemKey | null,
+ *       notePromptMsgId: number | null,    // replies to this message (or to the checklist) are notes
+ *       checklistMsgId: number | null,     // last reply-keyboard checklist sent
+ *       inlineMode: boolean,               // checklist as one edited message with inline buttons
+ *       inlineMsgId: number | null,
+ *       inlinePage: number,
+ *       menuHintBootId: string | null
+ *     }
+ *   },
+ *   allow: { [groupChatId]: number[] },     // pre-roles allowlist; normalizeGroup() turns it into "editor" roles
+ *   usernames: { [lowercase username]: userId },   // seen by the bot, so "/role @name" can be resolved
+ *   history: [{
+ *     id: string,
+ *     userId, userName, groupChatId,
+ *     startIso, endIso: string | null, endReason: string | null,
+ *     template: string | null,             // the template the shift ended on
+ *     ticks: [{ atIso, kind: "base" | "extra" | "clear", key: itemKey | null, text, done, evidence? }],
+ *     final: { doneCount, total, complete, items: [{ key, kind, text, section, required, done }] } | null
+ *   }],
+ *   meta: { version: 4, ... }
+ * }
+ *
+ * Before version 4 the duty, extras, poll, reminder and attendance state above sat at the top level
+ * (one group only); migrateToGroups() moves it under the group it belonged to.
+ */
 
-  const extraLines = DB.sharedExtra.length
-    ? DB.sharedExtra.map((it, j) => {
-        const idx = BASE_ITEMS.length + j + 1;
-        return `${idx}. ${st.extraDone[j] ? "✅" : "⬜️"} ${escapeHtml(it.text)}`;
-      })
-    : [];
+function ensureRoot() {
+  if (!DB || typeof DB !== "object") DB = {};
+  if (!DB.groups || typeof DB.groups !== "object") DB.groups = {};
+  if (!DB.users) DB.users = {};
+  if (!DB.allow) DB.allow = {};
+  if (!DB.usernames || typeof DB.usernames !== "object") DB.usernames = {};
+  if (!Array.isArray(DB.history)) DB.history = [];
+  if (!DB.meta) DB.meta = {};
+}
 
-  const allLines = baseLines.concat(extraLines);
+ensureRoot();
 
-  const { total, doneCount, complete } = checklistStats(uid);
-  const left = total - doneCount;
+const baseKey = (id, template = null) => (template ? `b:${template}/${id}` : `b:${id}`);
+const extraKey = (id) => `x:${id}`;
 
-  if (st.compact) {
-    return `<b>Checklist</b> — ${left}/${total} left${complete ? " ✅" : ""}`;
+// `g` is a group record (or, during migration, anything holding sharedExtra + nextExtraId).
+function newExtraId(g) {
+  const n = Number(g.nextExtraId) || 1;
+  g.nextExtraId = n + 1;
+  return `e${n}`;
+}
+
+function normalizeSharedExtra(g) {
+  g.sharedExtra = (Array.isArray(g.sharedExtra) ? g.sharedExtra : [])
+    .filter((x) => x && typeof x.text === "string" && x.text.trim())
+    .map((x) => ({ ...x, id: x.id ? String(x.id) : newExtraId(g), text: x.text.trim() }));
+}
+
+function mergeLegacyAllow(groupId, ids) {
+  if (!Array.isArray(ids)) return;
+  const allow = getAllowlist(groupId);
+  for (const id of ids) if (typeof id === "number" && !allow.includes(id)) allow.push(id);
+}
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Legacy top-level blocks: { [chatId]: { items: [{ text, done }], allow, compact } } and "group"/"groups": { [chatId]: block }.
+const isLegacyChatBlock = (v) => isPlainObject(v) && (Array.isArray(v.items) || Array.isArray(v.allow));
+const isLegacyGroupMap = (v) => isPlainObject(v) && Object.entries(v).every(([k, b]) => /^-?\d+$/.test(k) && isPlainObject(b));
+
+/**
+ * One-time move to progress keyed by item id. Handles, oldest first:
+ * - top-level per-chat blocks and "group"/"groups" (see isLegacyChatBlock); keys of any other shape are left alone
+ * - per-user "extra" lists (pre-shared extras)
+ * - positional baseDone[] / extraDone[], mapped against base_items.json and sharedExtra as loaded now
+ * A user's own items that are neither base items nor shared extras are dropped (and logged), never shared.
+ */
+function migrateToItemIds() {
+  ensureRoot();
+  if (DB.meta.version >= 3) return;
+
+  // Still the single-group layout here; migrateToGroups() moves these afterwards.
+  const legacyExtras = { sharedExtra: DB.sharedExtra, nextExtraId: DB.meta.nextExtraId };
+  normalizeSharedExtra(legacyExtras);
+  DB.sharedExtra = legacyExtras.sharedExtra;
+
+  const markDoneByText = (uid, st, text, done) => {
+    const clean = typeof text === "string" ? text.trim() : "";
+    if (!clean) return;
+
+    const base = BASE_ITEMS.find((it) => it.text === clean);
+    const ex = base ? null : DB.sharedExtra.find((x) => x.text === clean);
+    if (!base && !ex) {
+      console.log(`ℹ️ Migration: dropped user ${uid}'s own item "${clean}"${done ? " (done)" : ""}; it is not a base item or shared extra.`);
+      return;
+    }
+    if (done) st.done[base ? baseKey(base.id) : extraKey(ex.id)] = true;
+  };
+
+  for (const uid of Object.keys(DB.users)) {
+    const st = DB.users[uid];
+    if (!st || typeof st !== "object") continue;
+
+    if (!st.done || typeof st.done !== "object" || Array.isArray(st.done)) st.done = {};
+
+    if (Array.isArray(st.baseDone)) {
+      st.baseDone.forEach((d, i) => {
+        if (d && BASE_ITEMS[i]) st.done[baseKey(BASE_ITEMS[i].id)] = true;
+      });
+      delete st.baseDone;
+    }
+
+    if (Array.isArray(st.extraDone)) {
+      st.extraDone.forEach((d, j) => {
+        if (d && DB.sharedExtra[j]) st.done[extraKey(DB.sharedExtra[j].id)] = true;
+      });
+      delete st.extraDone;
+    }
+
+    if (Array.isArray(st.extra)) {
+      for (const item of st.extra) markDoneByText(uid, st, item?.text, item?.done);
+      delete st.extra;
+    }
+  }
+
+  for (const k of Object.keys(DB)) {
+    const legacy = DB[k];
+    if (k === "group" || k === "groups" ? !isLegacyGroupMap(legacy) : !/^-?\d+$/.test(k) || !isLegacyChatBlock(legacy)) {
+      if (/^-?\d+$|^groups?$/.test(k)) console.warn(`⚠️ Migration: top-level "${k}" is not a legacy block; left as is.`);
+      continue;
+    }
+    delete DB[k];
+
+    // Before version 3, DB.groups can only be this legacy allowlist block.
+    if (k === "group" || k === "groups") {
+      for (const [gid, g] of Object.entries(legacy)) mergeLegacyAllow(gid, g?.allow);
+      continue;
+    }
+
+    // Negative ids are group chats: only their allowlist still means anything.
+    if (k.startsWith("-")) {
+      mergeLegacyAllow(k, legacy.allow);
+      continue;
+    }
+
+    // Users that already have newer state keep it; their old block may only tick existing items.
+    if (!DB.users[k]) {
+      DB.users[k] = { compact: !!legacy.compact, removeMode: false, done: {}, menuHintBootId: null };
+    }
+    for (const item of Array.isArray(legacy.items) ? legacy.items : []) {
+      markDoneByText(k, DB.users[k], item?.text, item?.done);
+    }
   }
 
-  return `<b>Your checklist</b>\n${allLines.join("\n")}`;
+  DB.meta.nextExtraId = legacyExtras.nextExtraId;
+  DB.meta.version = 3;
+  saveData(DB);
 }
 
-function itemButtonLabel(uid, idx1) {
-  const st = getUserState(uid);
-  const idx0 = idx1 - 1;
+migrateToItemIds();
 
-  const baseLen = BASE_ITEMS.length;
-  if (idx0 >= 0 && idx0 < baseLen) {
-    const done = !!st.baseDone[idx0];
-    return `${done ? "✅" : "⬜️"} #${idx1}: ${truncate(BASE_ITEMS[idx0], 28)}`;
+/**
+ * Version 3 → 4: the single group's duty, extras, poll, reminder and attendance state moves under
+ * DB.groups. It goes to CHAT_ID, else to the group of the recorded duty; with neither, it waits for
+ * the first /register.
+ */
+function migrateToGroups(fallbackGroupId) {
+  ensureRoot();
+  if (DB.meta.version >= 4) return;
+
+  const target = GROUP_CHAT_ID || DB.duty?.active?.groupChatId || DB.duty?.handover?.groupChatId || fallbackGroupId;
+  if (!target) return;
+
+  const g = registerGroup(target, {});
+  if (Array.isArray(DB.sharedExtra)) g.sharedExtra = DB.sharedExtra;
+  if (DB.meta.nextExtraId) g.nextExtraId = DB.meta.nextExtraId;
+  if (DB.duty) g.duty = { active: DB.duty.active || null, handover: DB.duty.handover || null };
+  if (DB.attendance && typeof DB.attendance === "object") g.attendance = DB.attendance;
+  g.lastMorningPollDateSgt = DB.meta.lastMorningPollDateSgt || null;
+  g.reminderSchedule = DB.meta.reminderSchedule || null;
+  g.overdueAlerts = DB.meta.overdueAlerts || {};
+  normalizeGroup(g);
+
+  for (const st of Object.values(DB.users)) {
+    if (st && typeof st === "object" && !st.groupId) st.groupId = g.id;
   }
 
-  const extraIndex = idx0 - baseLen;
-  if (extraIndex >= 0 && extraIndex < DB.sharedExtra.length) {
-    const it = DB.sharedExtra[extraIndex];
-    return `${st.extraDone[extraIndex] ? "✅" : "⬜️"} #${idx1}: ${truncate(it.text, 28)}`;
+  delete DB.sharedExtra;
+  delete DB.duty;
+  delete DB.attendance;
+  for (const k of ["nextExtraId", "lastMorningPollDateSgt", "reminderSchedule", "overdueAlerts"]) delete DB.meta[k];
+  DB.meta.version = 4;
+  saveData(DB);
+}
+
+// Template items have keys of their own (see baseKey), so `done` keeps every template's progress apart.
+function getUserState(uid) {
+  ensureRoot();
+
+  if (!DB.users[uid]) {
+    DB.users[uid] = {
+      groupId: null,
+      compact: false,
+      removeMode: false,
+      done: {},
+      evidence: {},
+      notes: {},
+      awaitingEvidence: null,
+      notePromptMsgId: null,
+      checklistMsgId: null,
+      inlineMode: INLINE_CHECKLIST_DEFAULT,
+      inlineMsgId: null,
+      inlinePage: 0,
+      menuHintBootId: null,
+    };
+    saveData(DB);
   }
 
-  return `#${idx1}`;
+  const st = DB.users[uid];
+
+  if (!("groupId" in st)) st.groupId = null;
+  if (typeof st.compact !== "boolean") st.compact = false;
+  if (typeof st.removeMode !== "boolean") st.removeMode = false;
+  if (!("menuHintBootId" in st)) st.menuHintBootId = null;
+  if (!st.done || typeof st.done !== "object" || Array.isArray(st.done)) st.done = {};
+  if (!st.evidence || typeof st.evidence !== "object") st.evidence = {};
+  if (!st.notes || typeof st.notes !== "object") st.notes = {};
+  if (!("awaitingEvidence" in st)) st.awaitingEvidence = null;
+  if (!("notePromptMsgId" in st)) st.notePromptMsgId = null;
+  if (!("checklistMsgId" in st)) st.checklistMsgId = null;
+  if (typeof st.inlineMode !== "boolean") st.inlineMode = INLINE_CHECKLIST_DEFAULT;
+  if (!("inlineMsgId" in st)) st.inlineMsgId = null;
+  if (!Number.isInteger(st.inlinePage)) st.inlinePage = 0;
+
+  return st;
 }
 
-function buildDmReplyKeyboard(uid) {
+// ===================== Groups =====================
+function normalizeGroup(g) {
+  normalizeSharedExtra(g);
+  if (!g.duty || typeof g.duty !== "object") g.duty = { active: null, handover: null };
+  if (!("handover" in g.duty)) g.duty.handover = null;
+  if (!g.poll || typeof g.poll !== "object") g.poll = { enabled: true, hour: null, minute: null };
+  if (!("template" in g)) g.template = null;
+  if (!("templatePick" in g)) g.templatePick = null;
+  if (!("carryOver" in g)) g.carryOver = null;
+  if (!("timezone" in g)) g.timezone = null;
+  if (!("locale" in g)) g.locale = null;
+  if (!("lastMorningPollDateSgt" in g)) g.lastMorningPollDateSgt = null;
+  if (!("reminderSchedule" in g)) g.reminderSchedule = null;
+  if (!("historyTrimmedIso" in g)) g.historyTrimmedIso = null;
+  if (!("remindersSent" in g)) g.remindersSent = null;
+  if (!g.overdueAlerts || typeof g.overdueAlerts !== "object") g.overdueAlerts = {};
+  if (!g.attendance || typeof g.attendance !== "object") g.attendance = {};
+  if (!Array.isArray(g.trash)) g.trash = [];
+  if (!g.roles || typeof g.roles !== "object") g.roles = {};
+  if (!g.admins || typeof g.admins !== "object") g.admins = {};
+  if (Array.isArray(DB.allow[g.id])) {
+    for (const uid of DB.allow[g.id]) if (!g.roles[uid]) g.roles[uid] = "editor";
+    delete DB.allow[g.id];
+  }
+  if (!g.roster || typeof g.roster !== "object") g.roster = {};
+  if (!g.roster.weekly || typeof g.roster.weekly !== "object") g.roster.weekly = {};
+  if (!g.roster.dates || typeof g.roster.dates !== "object") g.roster.dates = {};
+  if (!("ack" in g.roster)) g.roster.ack = null;
+  if (!("ackPingDue" in g.roster)) g.roster.ackPingDue = null;
+  if (!("assignedDateSgt" in g.roster)) g.roster.assignedDateSgt = null;
+  if (!Array.isArray(g.roster.swaps)) g.roster.swaps = [];
+  return g;
+}
+
+function getGroup(groupId) {
+  ensureRoot();
+  if (groupId === null || groupId === undefined) return null;
+  const g = DB.groups[String(groupId)];
+  return g ? normalizeGroup(g) : null;
+}
+
+function listGroups() {
+  ensureRoot();
+  return Object.keys(DB.groups).map(getGroup);
+}
+
+/** Creates the group record, or updates title / items file on an existing one. */
+function registerGroup(groupId, { title, by, itemsFile } = {}) {
+  ensureRoot();
+  const id = String(groupId);
+  if (!DB.groups[id]) {
+    DB.groups[id] = {
+      id,
+      title: null,
+      registeredIso: new Date().toISOString(),
+      registeredBy: by || null,
+      itemsFile: null,
+      sharedExtra: [],
+      nextExtraId: 1,
+    };
+  }
+  const g = normalizeGroup(DB.groups[id]);
+  if (title) g.title = title;
+  if (itemsFile !== undefined) g.itemsFile = itemsFile;
+  saveData(DB);
+  return g;
+}
+
+const groupLabel = (g) => (g.title ? g.title : `group ${g.id}`);
+
+function groupBaseItems(g) {
+  if (!g?.itemsFile) return BASE_ITEMS;
+  try {
+    return loadItemsFile(g.itemsFile);
+  } catch (e) {
+    console.warn(`⚠️ ${g.itemsFile} for ${groupLabel(g)} failed to load; using base_items.json. Reason:`, e?.message || e);
+    return BASE_ITEMS;
+  }
+}
+
+/** The group whose checklist a DM user works on; with a single registered group, that one. */
+function userGroupId(uid) {
   const st = getUserState(uid);
-  const total = BASE_ITEMS.length + DB.sharedExtra.length;
+  if (getGroup(st.groupId)) return st.groupId;
+  const ids = Object.keys(DB.groups);
+  return ids.length === 1 ? ids[0] : null;
+}
 
-  const rows = [
-    [{ text: "➕ Add" }, { text: "🔄 Refresh" }],
-    [{ text: st.removeMode ? "✅ Done removing" : "🗑 Remove mode" }, { text: "🧹 Clear checks" }],
-    [{ text: st.compact ? "📝 Full view" : "📋 Compact view" }],
-  ];
+// Item keys are only unique inside one group, so moving to another group starts a clean checklist.
+function setUserGroup(uid, groupId) {
+  const st = getUserState(uid);
+  if (st.groupId === String(groupId)) return;
+  if (st.groupId) {
+    st.done = {};
+    st.evidence = {};
+    st.notes = {};
+    st.awaitingEvidence = null;
+    st.removeMode = false;
+  }
+  st.groupId = String(groupId);
+  st.inlinePage = 0;
+}
+
+migrateToGroups();
+if (GROUP_CHAT_ID && !getGroup(GROUP_CHAT_ID)) registerGroup(GROUP_CHAT_ID, {});
+
+function getAllowlist(groupId) {
+  ensureRoot();
+  const k = String(groupId);
+  if (!Array.isArray(DB.allow[k])) DB.allow[k] = [];
+  return DB.allow[k];
+}
+
+/** Returns false (and changes nothing) when the group is not registered. */
+function setActiveDuty(userId, groupChatId, userName) {
+  const g = getGroup(groupChatId);
+  if (!g) {
+    console.warn(`⚠️ Duty not started: group ${groupChatId} is not registered.`);
+    return false;
+  }
 
-  for (let i = 1; i <= total; i++) {
-    rows.push([{ text: itemButtonLabel(uid, i) }]);
+  const cur = g.duty.active;
+  if (cur && cur.userId === userId && getShift(cur.shiftId)) {
+    return true; // same user tapped Start Duty again: keep the running shift
+  }
+  if (cur) closeActiveShift(g.id, "replaced");
+  setUserGroup(userId, g.id);
+  const auto = autoTemplate(g.id);
+  if (g.templatePick?.auto !== auto) {
+    g.template = auto;
+    g.templatePick = null;
   }
 
-  return {
-    reply_markup: {
-      keyboard: rows,
-      resize_keyboard: true,
-      one_time_keyboard: false,
-      input_field_placeholder: "Tap an item to toggle, or use controls…",
-    },
+  const sinceIso = new Date().toISOString();
+  const shift = {
+    id: `${sinceIso}#${userId}`,
+    userId,
+    userName: userName || null,
+    groupChatId: String(groupChatId),
+    startIso: sinceIso,
+    endIso: null,
+    endReason: null,
+    template: g.template,
+    ticks: [],
+    final: null,
+  };
+  DB.history.push(shift);
+  if (HISTORY_MAX_SHIFTS > 0 && DB.history.length > HISTORY_MAX_SHIFTS) {
+    // The cap is shared by all groups; each group remembers how far back its own history still reaches.
+    for (const h of DB.history.splice(0, DB.history.length - HISTORY_MAX_SHIFTS)) {
+      const hg = getGroup(h.groupChatId);
+      if (hg && !(hg.historyTrimmedIso >= h.startIso)) hg.historyTrimmedIso = h.startIso;
+    }
+  }
+
+  g.duty.active = {
+    userId,
+    groupChatId: g.id,
+    sinceIso,
+    shiftId: shift.id,
   };
+  saveData(DB);
+  return true;
 }
 
-async function sendDmChecklist(uid) {
-  try {
-    await sendMenuHintOncePerBoot(uid);
-  } catch {}
+function clearActiveDuty(groupId, reason) {
+  const g = getGroup(groupId);
+  if (!g) return;
+  closeActiveShift(g.id, reason || "cleared");
+  g.duty.active = null;
+  g.duty.handover = null;
+  saveData(DB);
+}
 
-  await bot.sendMessage(uid, formatChecklist(uid), {
-    parse_mode: "HTML",
-    ...buildDmReplyKeyboard(uid),
-  });
+function getActiveDuty(groupId) {
+  return getGroup(groupId)?.duty.active || null;
 }
 
-function formatStatusLine(uid) {
-  const { total, doneCount, complete } = checklistStats(uid);
-  return complete ? `✅ COMPLETE (${doneCount}/${total})` : `⏳ ${doneCount}/${total} done`;
+/** The group where this user is on duty, if any. A user holds duty in one group at a time. */
+function dutyGroupOf(uid) {
+  return listGroups().find((g) => g.duty.active?.userId === uid) || null;
 }
 
-// ===================== Group messages =====================
-async function sendStartDutyPromptToGroup() {
-  if (!GROUP_CHAT_ID) return;
+// ===================== Duty history =====================
+function getShift(shiftId) {
+  ensureRoot();
+  if (!shiftId) return null;
+  return DB.history.find((h) => h.id === shiftId) || null;
+}
 
-  const active = getActiveDuty();
-  let line = "Tap the button to start duty (DM checklist).";
-  if (active && String(active.groupChatId) === String(GROUP_CHAT_ID)) {
-    const name = await safeGetChatMemberName(GROUP_CHAT_ID, active.userId);
-    line = `Current duty: ${escapeHtml(name)} — ${formatStatusLine(active.userId)}`;
-  }
+function getActiveShift(groupId) {
+  const active = getActiveDuty(groupId);
+  return active ? getShift(active.shiftId) : null;
+}
 
-  await bot.sendMessage(GROUP_CHAT_ID, `🧾 <b>Duty Checklist</b>\n${line}`, {
-    parse_mode: "HTML",
-    reply_markup: {
-      inline_keyboard: [[{ text: "✅ Start Duty (DM)", callback_data: "start_duty" }]],
-    },
-  });
+function closeActiveShift(groupId, reason) {
+  const shift = getActiveShift(groupId);
+  if (!shift || shift.endIso) return null;
+
+  const { total, doneCount, complete } = checklistStats(shift.userId);
+
+  shift.endIso = new Date().toISOString();
+  shift.endReason = reason || null;
+  shift.final = { doneCount, total, complete, items: checklistSnapshot(shift.userId) };
+  recordCarryOver(getGroup(groupId), shift);
+  return shift;
 }
 
-async function sendMorningPollToGroup() {
-  if (!GROUP_CHAT_ID) return;
-  await bot.sendPoll(
-    GROUP_CHAT_ID,
-    "Good morning commanders, please indicate whether you will be in camp for today",
-    ["Yes", "No", "MA/MC", "OL", "LL", "OFF", "COS Only"],
-    { is_anonymous: false, allows_multiple_answers: false }
-  );
+/** Appends a toggle to the running shift, but only for the active duty user. */
+function recordTick(uid, item, done, extra) {
+  const active = getActiveDuty(getUserState(uid).groupId);
+  if (!active || active.userId !== uid) return;
+
+  const shift = getShift(active.shiftId);
+  if (!shift || shift.endIso) return;
+
+  shift.ticks.push({
+    atIso: new Date().toISOString(),
+    kind: item.kind,
+    key: item.key || null,
+    text: item.text,
+    done: !!done,
+    ...extra,
+  });
+  if (shift.ticks.length > 500) shift.ticks.splice(0, shift.ticks.length - 500);
 }
 
-async function announceAwakeToGroup() {
-  if (!GROUP_CHAT_ID) return;
-  await bot.sendMessage(
-    GROUP_CHAT_ID,
-    ["🟢 <b>COS Checklist Bot Online</b>", "Use <b>Start Duty</b> to open your checklist in DM."].join("\n"),
-    { parse_mode: "HTML" }
-  );
+// ===================== Carry-over =====================
+// Required items a shift ends with unticked are kept on the group for the next duty user; each remembers how many
+// duties in a row left it open. At CARRY_OVER_ESCALATE_SHIFTS in a row the group's admins get one DM per item.
+const carryOverEscalations = new Set(); // in flight, so shutdown can wait for them
+
+// The same item on another template ("b:night/lock" vs "b:lock") is still the same open item.
+const carryKey = (key) => key.replace(/^b:[a-z0-9-]+\//, "b:");
+
+function recordCarryOver(g, shift) {
+  const prev = new Map((g.carryOver?.items || []).map((c) => [carryKey(c.key), c]));
+  const items = shift.final.items
+    .filter((it) => it.required && it.counts !== false && !it.done)
+    .map((it) => {
+      const p = prev.get(carryKey(it.key));
+      return {
+        key: it.key,
+        text: it.text,
+        section: it.section || null,
+        shifts: (p?.shifts || 0) + 1,
+        sinceIso: p?.sinceIso || shift.startIso,
+        escalatedIso: p?.escalatedIso || null,
+      };
+    });
+
+  g.carryOver = items.length
+    ? { shiftId: shift.id, fromUserId: shift.userId, fromName: shift.userName, endIso: shift.endIso, items }
+    : null;
+
+  if (CARRY_OVER_ESCALATE_SHIFTS > 0 && items.some((c) => c.shifts >= CARRY_OVER_ESCALATE_SHIFTS && !c.escalatedIso)) {
+    const p = escalateCarryOver(g.id)
+      .catch((e) => console.error("escalateCarryOver error:", e?.response?.body || e))
+      .finally(() => carryOverEscalations.delete(p));
+    carryOverEscalations.add(p);
+  }
 }
 
-async function announceSleepWarningToGroup() {
-  if (!GROUP_CHAT_ID) return;
-  await bot.sendMessage(
-    GROUP_CHAT_ID,
-    ["🟠 <b>COS Checklist Bot Standby</b>", "Bot will go offline soon. Ensure your checklist is up to date."].join(
-      "\n"
-    ),
-    { parse_mode: "HTML" }
-  );
+/** Telegram admins of the group plus everyone with the admin /role. */
+async function groupAdminIds(g) {
+  const ids = new Set(Object.keys(g.roles).filter((uid) => g.roles[uid] === "admin").map(Number));
+  try {
+    for (const a of await bot.getChatAdministrators(g.id)) if (a.user && !a.user.is_bot) ids.add(a.user.id);
+  } catch {}
+  return [...ids];
 }
 
-async function announceOfflineStatusToGroup(reason) {
-  if (!GROUP_CHAT_ID) return;
+async function escalateCarryOver(groupId) {
+  const g = getGroup(groupId);
+  const due = (g?.carryOver?.items || []).filter((c) => c.shifts >= CARRY_OVER_ESCALATE_SHIFTS && !c.escalatedIso);
+  if (!due.length) return;
 
-  const active = getActiveDuty();
+  const nowIso = new Date().toISOString();
+  for (const c of due) c.escalatedIso = nowIso;
+  saveData(DB);
 
-  if (!active || String(active.groupChatId) !== String(GROUP_CHAT_ID)) {
-    await bot.sendMessage(
-      GROUP_CHAT_ID,
-      [
-        "🔴 <b>COS Checklist Bot Offline</b>",
-        "No active duty user recorded.",
+  const tz = groupTz(g.id);
+  const text = [
+    `⚠️ <b>Unfinished for ${CARRY_OVER_ESCALATE_SHIFTS}+ duties in a row</b> — ${escapeHtml(groupLabel(g))}`,
+    ...due.map(
+      (c) =>
+        `• ${escapeHtml(c.text)} — <i>${c.shifts} duties, since ${escapeHtml(formatLocal(c.sinceIso, tz).slice(0, 10))}</i>`
+    ),
+    `Last left open by ${escapeHtml(g.carryOver.fromName || `id:${g.carryOver.fromUserId}`)}.`,
+  ].join("\n");
+
+  for (const uid of await groupAdminIds(g)) {
+    try {
+      await bot.sendMessage(uid, text, { parse_mode: "HTML" });
+    } catch (e) {
+      if (VERBOSE) console.warn(`carry-over DM to ${uid} failed:`, e?.response?.body || e);
+    }
+  }
+}
+
+/** The "Pending from previous duty" block of the duty user's checklist; null when nothing is left. */
+function formatCarryOver(uid, views) {
+  const g = getGroup(userGroupId(uid));
+  const co = g?.carryOver;
+  if (!co || g.duty.active?.userId !== uid) return null;
+
+  const lines = [];
+  for (const c of co.items) {
+    const i = views.findIndex((v) => carryKey(v.key) === carryKey(c.key));
+    if (i >= 0 && views[i].done) continue;
+    const streak = c.shifts > 1 ? ` — <i>open for ${c.shifts} duties</i>` : "";
+    lines.push(i >= 0 ? `• #${i + 1} ${escapeHtml(c.text)}${streak}` : `• ${escapeHtml(c.text)} — <i>not on this checklist</i>${streak}`);
+  }
+  if (!lines.length) return null;
+
+  const from = co.fromName || `id:${co.fromUserId}`;
+  return [`⏳ <b>Pending from previous duty (${escapeHtml(from)})</b>`, ...lines].join("\n");
+}
+
+// ===================== Checklist items =====================
+/**
+ * A group's base items followed by its shared extras, in display order; `key` indexes each user's `done` map.
+ * With `uid`, extras assigned to someone else are left out.
+ */
+function listItems(groupId, uid = null) {
+  const g = getGroup(groupId);
+  if (!g) return [];
+
+  const template = activeTemplate(g);
+  const base = template ? template.items : groupBaseItems(g);
+  const extraSection = base.some((it) => it.section) ? "Extra" : null;
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  return base.map((it) => ({ ...it, kind: "base", key: baseKey(it.id, template?.name) })).concat(
+    g.sharedExtra
+      .filter((x) => extraActiveOn(x, today) && (uid === null || extraVisibleTo(g, x, uid)))
+      .map((x) => ({
+        id: x.id,
+        key: extraKey(x.id),
+        kind: "extra",
+        text: x.text,
+        section: extraSection,
+        description: null,
+        required: true,
+        due: null,
+        evidence: false,
+        repeat: x.repeat || null,
+        window: formatExtraWindow(x, groupTz(g.id)),
+      }))
+  );
+}
+
+const userItems = (uid) => listItems(userGroupId(uid), uid);
+
+// Timed items store the occurrence they were ticked for ("YYYY-MM-DD HH:MM"), so they reset by themselves.
+function toggleItem(uid, item) {
+  const st = getUserState(uid);
+  const s = itemState(st, item);
+
+  if (s.done) {
+    delete st.done[item.key];
+    delete st.evidence[item.key];
+  } else {
+    st.done[item.key] = s.mark;
+  }
+
+  recordTick(uid, s.occ ? { ...item, text: `${item.text} (${s.occ.due.time})` } : item, !s.done);
+  saveData(DB);
+  return !s.done;
+}
+
+/** Ticks an item (if it is not already) and keeps the Telegram file as proof. */
+function attachEvidence(uid, item, file) {
+  const st = getUserState(uid);
+  const s = itemState(st, item);
+
+  if (!s.done) st.done[item.key] = s.mark;
+  st.evidence[item.key] = { ...file, atIso: new Date().toISOString() };
+  if (st.awaitingEvidence === item.key) st.awaitingEvidence = null;
+
+  recordTick(uid, s.occ ? { ...item, text: `${item.text} (${s.occ.due.time})` } : item, true, {
+    evidence: { type: file.type, fileId: file.fileId },
+  });
+  saveData(DB);
+}
+
+const NOTE_MAX_LENGTH = 200;
+
+/** Sets the user's note on an item; an empty text deletes it. Notes do not tick or untick anything. */
+function setItemNote(uid, item, text) {
+  const st = getUserState(uid);
+  const clean = String(text || "").replace(/\s+/g, " ").trim().slice(0, NOTE_MAX_LENGTH);
+  if (clean) st.notes[item.key] = { text: clean, atIso: new Date().toISOString() };
+  else delete st.notes[item.key];
+  saveData(DB);
+  return clean || null;
+}
+
+// ===================== Shared EXTRA task helpers =====================
+// Extras are shared by everyone in one group. `by` is { userId, name } of whoever made the change;
+// `schedule` is { from, until, repeat, assignee } from buildExtraTask().
+function addSharedExtraTask(groupId, text, by = null, schedule = {}) {
+  const g = getGroup(groupId);
+  if (!g) return null;
+
+  const clean = String(text || "").trim();
+  if (!clean) return null;
+
+  if (g.sharedExtra.some((x) => x.text === clean)) return null;
+
+  const extra = { id: newExtraId(g), text: clean, addedIso: new Date().toISOString(), addedBy: by };
+  for (const k of ["from", "until", "repeat", "assignee"]) if (schedule[k]) extra[k] = schedule[k];
+  g.sharedExtra.push(extra);
+  saveData(DB);
+  return extra;
+}
+
+/**
+ * Takes an extra off the checklist. It goes to the group's trash together with everyone's tick and
+ * evidence for it, so the Undo button or /trash can put it back as it was.
+ */
+function removeSharedExtraTask(groupId, extraId, { by = null } = {}) {
+  const g = getGroup(groupId);
+  if (!g) return null;
+
+  const idx = g.sharedExtra.findIndex((x) => x.id === extraId);
+  if (idx === -1) return null;
+
+  const [extra] = g.sharedExtra.splice(idx, 1);
+  const key = extraKey(extraId);
+  const done = {};
+  const evidence = {};
+
+  for (const uid of Object.keys(DB.users)) {
+    const st = getUserState(uid);
+    if (st.groupId !== g.id) continue;
+    if (key in st.done) done[uid] = st.done[key];
+    if (st.evidence[key]) evidence[uid] = st.evidence[key];
+    delete st.done[key];
+    delete st.evidence[key];
+  }
+
+  const entry = { ...extra, position: idx, deletedIso: new Date().toISOString(), deletedBy: by, done, evidence };
+  g.trash.unshift(entry);
+  pruneTrash(g);
+  saveData(DB);
+  return entry;
+}
+
+function pruneTrash(g) {
+  const cutoff = Date.now() - TRASH_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  g.trash = g.trash.filter((t) => Date.parse(t.deletedIso) >= cutoff);
+}
+
+/** Puts a trashed extra back where it was (same id), re-ticking it for users still on this group. */
+function restoreSharedExtraTask(groupId, extraId) {
+  const g = getGroup(groupId);
+  if (!g) return { error: "That group is no longer registered." };
+
+  const idx = g.trash.findIndex((t) => t.id === extraId);
+  if (idx === -1) return { error: "That task is no longer in the trash." };
+
+  const { position, deletedIso, deletedBy, done, evidence, ...extra } = g.trash[idx];
+  if (g.sharedExtra.some((x) => x.text === extra.text)) return { error: "A task with the same text is already on the checklist." };
+
+  g.trash.splice(idx, 1);
+  if (extra.until && extra.until < nowLocalParts(groupTz(g.id)).dateStr) delete extra.until; // restoring an expired task revives it
+  g.sharedExtra.splice(Math.min(position, g.sharedExtra.length), 0, extra);
+
+  const key = extraKey(extra.id);
+  for (const [uid, v] of Object.entries(done)) {
+    const st = getUserState(uid);
+    if (st.groupId === g.id) st.done[key] = v;
+  }
+  for (const [uid, ev] of Object.entries(evidence)) {
+    const st = getUserState(uid);
+    if (st.groupId === g.id) st.evidence[key] = ev;
+  }
+
+  saveData(DB);
+  return { extra };
+}
+
+// ===== Scheduled extras =====
+// "text | today", "text | until fri", "text | from 2026-11-02 until 2026-11-06", "text | daily",
+// "text | every mon,thu", "text | for @alice" (or: for me / <user id> / duty / editor). Combine freely.
+// Weekdays mean the next such day (today included).
+
+function nextDateFor(when, today) {
+  if (when.date) return when.date;
+  for (let i = 0; i < 7; i++) if (weekdayOf(addDays(today, i)) === when.weekday) return addDays(today, i);
+  return null;
+}
+
+/** The words after "|" → { from?, until?, repeat?, assignTo? }, or null when they are not a schedule. */
+function parseExtraSchedule(words, today, tz) {
+  const schedule = {};
+  const dateArg = (w) => {
+    const when = parseRosterWhen(w, tz);
+    return when ? nextDateFor(when, today) : null;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    if (w === "today" || w === "tomorrow") {
+      schedule.from = schedule.until = dateArg(w);
+    } else if (["on", "from", "until", "till"].includes(w)) {
+      const d = dateArg(words[++i]);
+      if (!d) return null;
+      if (w === "on" || w === "from") schedule.from = d;
+      if (w === "on" || w !== "from") schedule.until = d;
+    } else if (w === "daily" || (w === "every" && words[i + 1] === "day")) {
+      if (w === "every") i++;
+      schedule.repeat = "daily";
+    } else if (w === "every" || w === "weekly") {
+      const days = String(words[++i] || "")
+        .split(",")
+        .map((d) => parseRosterWhen(d, tz)?.weekday);
+      if (days.some((d) => !d)) return null;
+      schedule.repeat = WEEKDAYS.filter((d) => days.includes(d));
+    } else if (w === "for") {
+      if (!words[i + 1]) return null;
+      schedule.assignTo = words[++i];
+    } else {
+      return null;
+    }
+  }
+  return words.length ? schedule : null;
+}
+
+/**
+ * → { text, schedule: { from?, until?, repeat?, assignTo? } } | { error }; buildExtraTask() resolves assignTo.
+ * A "|" only starts a schedule when what follows reads as one; "Check A|B panel" is just text.
+ */
+function parseExtraTask(input, tz = TIMEZONE) {
+  const raw = String(input || "").trim();
+  const bar = raw.lastIndexOf("|");
+  const today = nowLocalParts(tz).dateStr;
+  const words = bar === -1 ? [] : raw.slice(bar + 1).trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const schedule = bar === -1 ? null : parseExtraSchedule(words, today, tz);
+  const text = schedule ? raw.slice(0, bar).trim() : raw;
+  if (!text) return { error: "The task text is empty." };
+  if (!schedule) return { text, schedule: {} };
+
+  if (schedule.until && schedule.until < today) return { error: "That date has already passed." };
+  if (schedule.from && schedule.until && schedule.from > schedule.until) return { error: "“from” is after “until”." };
+  return { text, schedule };
+}
+
+// The words "for <who>" takes for a role, and how the checklist names each role's members. "for duty"
+// means the duty user, so the duty role has no word here.
+const ROLE_WORDS = { viewer: "viewer", viewers: "viewer", editor: "editor", editors: "editor", admin: "admin", admins: "admin" };
+const ROLE_PLURALS = { viewer: "viewers", duty: "duty users", editor: "editors", admin: "admins" };
+
+/**
+ * parseExtraTask() plus the assignee: "duty", a role ("editor"/"editors"), or a user ("me", an id, an
+ * @username the bot has seen). `msg` (the command or reply) lets "me", replies and mentions work.
+ */
+async function buildExtraTask(input, msg = null, tz = TIMEZONE) {
+  const parsed = parseExtraTask(input, tz);
+  if (parsed.error || !parsed.schedule.assignTo) return parsed;
+
+  const { assignTo, ...schedule } = parsed.schedule;
+  if (assignTo === "duty") {
+    schedule.assignee = { type: "duty" };
+  } else if (Object.hasOwn(ROLE_WORDS, assignTo)) {
+    schedule.assignee = { type: "role", role: ROLE_WORDS[assignTo] };
+  } else {
+    const token = /^(\d+|me|@\w+)$/.test(assignTo) ? assignTo : `@${assignTo}`;
+    const id = /^\d+$/.test(token) ? Number(token) : DB.usernames[token.slice(1)];
+    const user = msg ? await resolveMentionedUser(msg, token) : id ? { userId: id, name: knownName(id) } : null;
+    if (!user) return { error: `I don't know “${assignTo}”. Use me, a numeric id, an @username the bot has seen, a role or duty.` };
+    schedule.assignee = { type: "user", userId: user.userId, name: user.name };
+  }
+  return { text: parsed.text, schedule };
+}
+
+function assigneeLabel(a) {
+  if (a.type === "user") return a.name || `id:${a.userId}`;
+  if (a.type === "role") return ROLE_PLURALS[a.role];
+  return "the duty user";
+}
+
+/** Whether an extra is on one user's checklist (it is on everyone's unless assigned). */
+function extraVisibleTo(g, x, uid) {
+  const a = x.assignee;
+  if (!a) return true;
+  if (a.type === "user") return a.userId === Number(uid);
+  if (a.type === "duty") return g.duty.active?.userId === Number(uid);
+  return ROLES.indexOf(knownRole(g, uid)) >= ROLES.indexOf(a.role);
+}
+
+/** DMs everyone a newly added assigned extra is for (except whoever added it). */
+async function notifyAssignees(g, extra, byUid) {
+  if (!extra.assignee) return;
+
+  const candidates = new Set([
+    ...Object.keys(DB.users).filter((uid) => getUserState(uid).groupId === g.id),
+    ...Object.keys(g.roles),
+    ...(extra.assignee.type === "user" ? [String(extra.assignee.userId)] : []),
+    ...(g.duty.active ? [String(g.duty.active.userId)] : []),
+  ]);
+  const window = formatExtraWindow({ ...extra, assignee: null }, groupTz(g.id));
+
+  for (const uid of candidates) {
+    if (Number(uid) === byUid || !extraVisibleTo(g, extra, uid)) continue;
+    try {
+      await bot.sendMessage(
+        uid,
+        `📌 New task for you in ${escapeHtml(groupLabel(g))}: <b>${escapeHtml(extra.text)}</b>${window ? ` (${escapeHtml(window)})` : ""}`,
+        { parse_mode: "HTML" }
+      );
+    } catch (e) {
+      if (VERBOSE) console.warn(`assignee DM to ${uid} failed:`, e?.response?.body || e);
+    }
+  }
+}
+
+/** Whether an extra is on the checklist on a (local) date. */
+function extraActiveOn(x, dateStr) {
+  if (x.from && dateStr < x.from) return false;
+  if (x.until && dateStr > x.until) return false;
+  return !Array.isArray(x.repeat) || x.repeat.includes(weekdayOf(dateStr));
+}
+
+function formatExtraWindow(x, tz = TIMEZONE) {
+  const parts = [];
+  if (x.repeat === "daily") parts.push("daily");
+  else if (Array.isArray(x.repeat)) parts.push(`every ${x.repeat.map((d) => d[0].toUpperCase() + d.slice(1)).join(", ")}`);
+  if (x.from && x.from === x.until) parts.push(x.from === nowLocalParts(tz).dateStr ? "today only" : `on ${x.from}`);
+  else {
+    if (x.from) parts.push(`from ${x.from}`);
+    if (x.until) parts.push(`until ${x.until}`);
+  }
+  if (x.assignee) parts.push(`for ${assigneeLabel(x.assignee)}`);
+  return parts.join(", ") || null;
+}
+
+/** Moves extras whose window has ended into the trash (where /trash can still bring them back). */
+function archiveExpiredExtras(g) {
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  const expired = g.sharedExtra.filter((x) => x.until && x.until < today);
+  for (const x of expired) removeSharedExtraTask(g.id, x.id, { by: { userId: null, name: "expired" } });
+  if (expired.length && VERBOSE) console.log(`Archived ${expired.length} expired extra(s) in ${g.id}.`);
+}
+
+// ===================== Boot reset helpers =====================
+function resetChecksForUser(uid) {
+  const st = getUserState(uid);
+  st.done = {};
+  st.evidence = {};
+  st.notes = {};
+  st.awaitingEvidence = null;
+  st.removeMode = false;
+  recordTick(uid, { kind: "clear", key: null, text: "All checks cleared" }, false);
+  saveData(DB);
+}
+
+function resetAllUsersChecks() {
+  ensureRoot();
+  for (const uid of Object.keys(DB.users)) {
+    const st = getUserState(uid);
+    st.done = {};
+    st.evidence = {};
+    st.notes = {};
+    st.awaitingEvidence = null;
+    st.removeMode = false;
+  }
+  saveData(DB);
+}
+
+// ===================== Utils =====================
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (m) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  }[m]));
+
+const truncate = (s, n) => (s && s.length > n ? s.slice(0, n - 1) + "…" : s);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function userDisplayName(u) {
+  return [u?.first_name, u?.last_name].filter(Boolean).join(" ") || u?.username || `id:${u?.id}`;
+}
+
+/** Remembers @usernames the bot sees, so commands can name users by them. */
+function rememberUser(u) {
+  if (!u?.username || u.is_bot) return;
+  const k = u.username.toLowerCase();
+  if (DB.usernames[k] === u.id) return;
+  DB.usernames[k] = u.id;
+  saveData(DB);
+}
+
+/**
+ * The user a command names: "me", a numeric id, an @username the bot has seen, a tapped mention, or
+ * (with no token) the sender of the replied-to message.
+ */
+async function resolveMentionedUser(msg, token) {
+  const t = String(token || "").trim();
+  if (/^me$/i.test(t) && msg.from) return { userId: msg.from.id, name: userDisplayName(msg.from) };
+  if (/^\d+$/.test(t)) return { userId: Number(t), name: await safeGetChatMemberName(msg.chat.id, Number(t)) };
+
+  const at = /^@(\w+)$/.exec(t);
+  if (at) {
+    const id = DB.usernames[at[1].toLowerCase()];
+    return id ? { userId: id, name: await safeGetChatMemberName(msg.chat.id, id) } : null;
+  }
+
+  const mention = (msg.entities || []).find((e) => e.type === "text_mention" && e.user);
+  if (mention) return { userId: mention.user.id, name: userDisplayName(mention.user) };
+
+  const replied = msg.reply_to_message?.from;
+  if (!t && replied && !replied.is_bot) return { userId: replied.id, name: userDisplayName(replied) };
+  return null;
+}
+
+async function safeGetChatMemberName(chatId, userId) {
+  try {
+    const m = await bot.getChatMember(chatId, userId);
+    const u = m?.user || {};
+    return [u.first_name, u.last_name].filter(Boolean).join(" ") || u.username || `id:${userId}`;
+  } catch {
+    return `id:${userId}`;
+  }
+}
+
+async function adminMentions(chatId) {
+  try {
+    const admins = await bot.getChatAdministrators(chatId);
+    return admins
+      .filter((a) => a.user && !a.user.is_bot)
+      .map((a) => `<a href="tg://user?id=${a.user.id}">${escapeHtml(userDisplayName(a.user))}</a>`)
+      .join(" ");
+  } catch {
+    return "";
+  }
+}
+
+async function isAdmin(chatId, userId) {
+  try {
+    const m = await bot.getChatMember(chatId, userId);
+    const admin = !!m && (m.status === "creator" || m.status === "administrator");
+    rememberAdmin(chatId, userId, admin);
+    return admin;
+  } catch {
+    return false;
+  }
+}
+
+// ===== Roles =====
+// Per-group roles, lowest first. Telegram group admins always count as "admin".
+const ROLES = ["viewer", "duty", "editor", "admin"];
+
+// The lowest role allowed to do each thing.
+const PERMISSIONS = {
+  takeDuty: "duty",
+  addExtra: ADD_REQUIRE_ALLOWLIST ? "editor" : "duty",
+  removeExtra: ADD_REQUIRE_ALLOWLIST ? "editor" : "duty",
+  editItems: "admin",
+  forceHandover: "admin",
+  resetChecks: "admin",
+  manageGroup: "admin",
+};
+
+const PERMISSION_TEXT = {
+  takeDuty: "take duty",
+  addExtra: "add tasks",
+  removeExtra: "remove tasks",
+  editItems: "edit the checklist",
+  forceHandover: "override a handover",
+  resetChecks: "reset someone else’s checks",
+  manageGroup: "change group settings",
+};
+
+for (const part of ROLE_PERMISSIONS.split(",").filter((x) => x.trim())) {
+  const [perm, role] = part.split("=").map((x) => x.trim());
+  if (perm in PERMISSIONS && ROLES.includes(role)) PERMISSIONS[perm] = role;
+  else console.warn(`⚠️ Ignoring ROLE_PERMISSIONS entry "${part.trim()}" (use permission=role).`);
+}
+
+const defaultRole = ROLES.includes(DEFAULT_ROLE) ? DEFAULT_ROLE : "duty";
+if (defaultRole !== DEFAULT_ROLE) console.warn(`⚠️ DEFAULT_ROLE "${DEFAULT_ROLE}" is not a role; using "duty".`);
+
+/** A user's role in a registered group: Telegram admin → "admin", else their /role, else DEFAULT_ROLE. */
+async function userRole(groupId, uid) {
+  const g = getGroup(groupId);
+  if (!g) return null;
+  if (await isAdmin(g.id, uid)) return "admin";
+  return g.roles[uid] || defaultRole;
+}
+
+// Kept in the group record, so places that cannot wait on Telegram (knownRole) still know after a restart.
+function rememberAdmin(chatId, userId, admin) {
+  const g = getGroup(chatId);
+  if (!g || !!g.admins[userId] === admin) return;
+  if (admin) g.admins[userId] = true;
+  else delete g.admins[userId];
+  saveData(DB);
+}
+
+/** userRole() without asking Telegram: admin status is whatever isAdmin() last saw. */
+function knownRole(g, uid) {
+  if (g.admins[uid]) return "admin";
+  return g.roles[uid] || defaultRole;
+}
+
+async function hasPermission(groupId, uid, perm) {
+  const role = await userRole(groupId, uid);
+  return !!role && ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[perm]);
+}
+
+// DM side: permissions come from the group whose checklist the user is on.
+async function userCan(uid, perm) {
+  return hasPermission(userGroupId(uid), uid, perm);
+}
+
+function noPermissionText(perm) {
+  return `🚫 You are not allowed to ${PERMISSION_TEXT[perm]} (needs the ${PERMISSIONS[perm]} role). Ask a group admin (/role).`;
+}
+
+// ===== Local time helpers =====
+// Dates and clock times are in the group's time zone (groupTz); without a group, TIMEZONE.
+const tzFormats = new Map();
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function groupTz(groupId) {
+  return getGroup(groupId)?.timezone || TIMEZONE;
+}
+
+function localParts(date, tz = TIMEZONE) {
+  if (!tzFormats.has(tz)) {
+    tzFormats.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  const p = Object.fromEntries(tzFormats.get(tz).formatToParts(date).map((x) => [x.type, x.value]));
+
+  return {
+    dateStr: `${p.year}-${p.month}-${p.day}`,
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    second: Number(p.second),
+  };
+}
+
+function nowLocalParts(tz = TIMEZONE) {
+  return localParts(new Date(), tz);
+}
+
+/** Short zone name for labels, e.g. "GMT+8" or "CET". */
+function tzLabel(tz = TIMEZONE) {
+  const part = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "short" })
+    .formatToParts(new Date())
+    .find((x) => x.type === "timeZoneName");
+  return part ? part.value : tz;
+}
+
+// ===== Due times (timed items) =====
+const hhmmToMin = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+const dueText = (d) => (d.label ? `${d.time} (${d.label})` : d.time);
+
+/** The latest due time reached today, or the first one if none has been reached yet. */
+function currentOccurrence(it, now) {
+  const nowMin = now.hour * 60 + now.minute;
+
+  let reachedIdx = -1;
+  it.due.forEach((d, i) => {
+    if (hhmmToMin(d.time) <= nowMin) reachedIdx = i;
+  });
+
+  const i = Math.max(reachedIdx, 0);
+  return {
+    key: `${now.dateStr} ${it.due[i].time}`,
+    due: it.due[i],
+    next: it.due[i + 1] || null,
+    reached: reachedIdx >= 0,
+    minutesLate: nowMin - hhmmToMin(it.due[i].time),
+  };
+}
+
+/**
+ * One user's standing on one item. A timed item only counts toward the checklist once its first
+ * due time of the day has been reached (or it was ticked early).
+ */
+function itemState(st, it, now = nowLocalParts(groupTz(st.groupId))) {
+  const v = st.done[it.key];
+  if (it.repeat) return { done: v === now.dateStr, counts: true, overdue: false, due: null, next: null, occ: null, mark: now.dateStr };
+  if (!it.due) return { done: !!v, counts: true, overdue: false, due: null, next: null, occ: null, mark: true };
+
+  const occ = currentOccurrence(it, now);
+  const done = typeof v === "string" && v >= occ.key;
+  return {
+    done,
+    counts: occ.reached || done,
+    overdue: !done && occ.reached && occ.minutesLate >= OVERDUE_GRACE_MINUTES,
+    due: dueText(occ.due),
+    next: occ.next ? dueText(occ.next) : null,
+    occ,
+    mark: occ.key,
+  };
+}
+
+function formatLocal(iso, tz = TIMEZONE) {
+  if (!iso) return "—";
+  const { dateStr, hour, minute } = localParts(new Date(iso), tz);
+  return `${dateStr} ${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+function minutesSince(h, m, targetH, targetM) {
+  return h * 60 + m - (targetH * 60 + targetM);
+}
+
+// Per-group poll time (set with /poll, in the group's time zone), falling back to MORNING_POLL_SGT_HOUR/MINUTE.
+function morningPollTime(g) {
+  return {
+    hour: Number.isInteger(g.poll.hour) ? g.poll.hour : MORNING_POLL_SGT_HOUR,
+    minute: Number.isInteger(g.poll.minute) ? g.poll.minute : MORNING_POLL_SGT_MINUTE,
+  };
+}
+
+function shouldSendMorningPollNow(g) {
+  if (!SEND_MORNING_POLL || !g.poll.enabled) return false;
+
+  const { hour, minute } = nowLocalParts(groupTz(g.id));
+  const at = morningPollTime(g);
+  const deltaMin = minutesSince(hour, minute, at.hour, at.minute);
+
+  return deltaMin >= 0 && deltaMin < MORNING_POLL_WINDOW_MINUTES;
+}
+
+function alreadySentMorningPollToday(g) {
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  return g.lastMorningPollDateSgt === dateStr;
+}
+
+function markMorningPollSentToday(g) {
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  g.lastMorningPollDateSgt = dateStr;
+  saveData(DB);
+}
+
+async function sendMenuHintOncePerBoot(uid) {
+  const st = getUserState(uid);
+  if (st.menuHintBootId === BOOT_ID) return;
+
+  await bot.sendMessage(
+    uid,
+    "If your checklist buttons are missing or unresponsive, send /menu to restore the checklist menu."
+  );
+
+  st.menuHintBootId = BOOT_ID;
+  saveData(DB);
+}
+
+// ===================== Locales =====================
+// One JSON file per locale in LOCALES_DIR. en.json is the complete set; other files only need the
+// strings they translate.
+function mergeLocale(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    const isObj = v && typeof v === "object" && !Array.isArray(v);
+    out[k] = isObj && base[k] && typeof base[k] === "object" ? mergeLocale(base[k], v) : v;
+  }
+  return out;
+}
+
+function loadLocales() {
+  const raw = {};
+  try {
+    for (const f of fs.readdirSync(LOCALES_DIR)) {
+      if (!f.endsWith(".json")) continue;
+      raw[f.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, f), "utf8"));
+    }
+  } catch (e) {
+    console.error(`❌ Could not load locales from ${LOCALES_DIR}:`, e?.message || e);
+    process.exit(1);
+  }
+  if (!raw.en) {
+    console.error(`❌ ${path.join(LOCALES_DIR, "en.json")} is missing.`);
+    process.exit(1);
+  }
+  if (!raw[LOCALE]) {
+    console.error(`❌ LOCALE "${LOCALE}" has no ${LOCALE}.json in ${LOCALES_DIR}.`);
+    process.exit(1);
+  }
+
+  const locales = {};
+  for (const [code, strings] of Object.entries(raw)) locales[code] = mergeLocale(raw.en, strings);
+  return locales;
+}
+
+const LOCALES = loadLocales();
+
+/** Strings for a group (its /language, else LOCALE). */
+function localeFor(groupId) {
+  return LOCALES[getGroup(groupId)?.locale] || LOCALES[LOCALE];
+}
+
+/** Fills {name} / {a.b} placeholders; one with no value is left as it is. */
+function fillTemplate(template, vars) {
+  return template.replace(/\{([\w.]+)\}/g, (m, k) => {
+    const v = k.split(".").reduce((o, part) => (o == null ? o : o[part]), vars);
+    return v === null || v === undefined ? m : v;
+  });
+}
+
+// ===================== Help text =====================
+// `groupId` is the chat's group (or the DM user's); its poll/reminder settings are shown when known.
+function helpText(isDm, groupId) {
+  const g = getGroup(groupId);
+  const L = localeFor(groupId);
+  const tz = groupTz(groupId);
+  const hhmm = (h, m) => `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+  const pollAt = g ? morningPollTime(g) : { hour: MORNING_POLL_SGT_HOUR, minute: MORNING_POLL_SGT_MINUTE };
+
+  const vars = {
+    scope: isDm ? L.help.scopeDm : L.help.scopeGroup,
+    b: L.buttons,
+    tz: escapeHtml(tzLabel(tz)),
+    tzName: escapeHtml(tz),
+    languages: Object.keys(LOCALES).join(", "),
+    templates: [...listTemplates().keys()].join(", "),
+    handoverMinutes: HANDOVER_TIMEOUT_MINUTES,
+    overdueMinutes: OVERDUE_GRACE_MINUTES,
+    undoMinutes: UNDO_GRACE_MINUTES,
+    trashDays: TRASH_KEEP_DAYS,
+    carryEscalate:
+      CARRY_OVER_ESCALATE_SHIFTS > 0 ? fillTemplate(L.help.carryEscalate, { shifts: CARRY_OVER_ESCALATE_SHIFTS }) : "",
+    addRole: PERMISSIONS.addExtra,
+    removeRole: PERMISSIONS.removeExtra,
+    pollStatus:
+      g && !g.poll.enabled
+        ? L.help.pollOff
+        : fillTemplate(L.help.pollOn, {
+            window: MORNING_POLL_WINDOW_MINUTES,
+            time: hhmm(pollAt.hour, pollAt.minute),
+            tz: escapeHtml(tzLabel(tz)),
+          }),
+    attendanceAt: hhmm(ATTENDANCE_SUMMARY_SGT_HOUR, ATTENDANCE_SUMMARY_SGT_MINUTE),
+    remindersFrom: WEBHOOK_MODE ? L.help.remindersFrom : "",
+    reminders: escapeHtml(describeReminderSchedule(groupId)),
+    rosterAck: ROSTER_ACK_MINUTES > 0 ? fillTemplate(L.help.rosterAck, { minutes: ROSTER_ACK_MINUTES }) : "",
+    roles: ROLES.join(" → "),
+    defaultRole,
+    perm: PERMISSIONS,
+  };
+
+  // Lines given as { when, text } are only shown while that feature is on.
+  const shown = {
+    attendanceSummary: SEND_ATTENDANCE_SUMMARY,
+    escalation: getReminderSchedule(groupId).some((mk) => mk.escalate),
+    roster: ROSTER_AUTO_ASSIGN,
+    templates: listTemplates().size > 0,
+  };
+  return L.help.lines
+    .filter((line) => typeof line === "string" || shown[line.when])
+    .map((line) => fillTemplate(typeof line === "string" ? line : line.text, vars))
+    .join("\n");
+}
+
+// ===================== Checklist stats/render =====================
+// Only required items count toward "COMPLETE"; optional ones are tallied separately.
+// Timed items that are not due yet are left out entirely. Only the active template's items count.
+function checklistStats(uid) {
+  let total = 0;
+  let doneCount = 0;
+  let optionalTotal = 0;
+  let optionalDone = 0;
+
+  for (const it of checklistSnapshot(uid)) {
+    if (!it.counts) continue;
+    if (it.required) {
+      total++;
+      if (it.done) doneCount++;
+    } else {
+      optionalTotal++;
+      if (it.done) optionalDone++;
+    }
+  }
+
+  const template = activeTemplate(getGroup(userGroupId(uid)))?.name || null;
+  return { total, doneCount, optionalTotal, optionalDone, complete: total > 0 && doneCount === total, template };
+}
+
+/** listItems() merged with one user's progress; what the renderers work from. */
+function itemViews(uid, now = nowLocalParts(groupTz(userGroupId(uid)))) {
+  const st = getUserState(uid);
+  return userItems(uid).map((it) => {
+    const s = itemState(st, it, now);
+    return { ...it, ...s, proof: s.done ? st.evidence[it.key] || null : null, note: st.notes[it.key]?.text || null };
+  });
+}
+
+function checklistSnapshot(uid) {
+  return itemViews(uid).map((v) => ({
+    key: v.key,
+    kind: v.kind,
+    text: v.text,
+    section: v.section,
+    required: v.required,
+    counts: v.counts,
+    done: v.done,
+    due: v.due,
+    overdue: v.overdue,
+    proof: v.proof,
+    note: v.note,
+  }));
+}
+
+function formatDueSuffix(it) {
+  if (it.window) return ` — <i>${escapeHtml(it.window)}</i>`;
+  if (!it.due) return "";
+  if (it.overdue) return ` — ⚠️ <b>overdue</b> (${escapeHtml(it.due)})`;
+  if (!it.done) return ` — <i>due ${escapeHtml(it.due)}</i>`;
+  return it.next ? ` — <i>next ${escapeHtml(it.next)}</i>` : "";
+}
+
+function formatItemLine(n, it) {
+  const proof = it.proof ? " 📎" : it.evidence ? " 📷" : "";
+  return (
+    `${n}. ${it.done ? "✅" : "⬜️"} ${escapeHtml(it.text)}${it.required ? "" : " <i>(optional)</i>"}${proof}` +
+    formatDueSuffix(it)
+  );
+}
+
+/** The user's item notes as "📝 #n item: note" lines, for group status posts. */
+function formatNoteLines(uid) {
+  return checklistSnapshot(uid)
+    .map((it, i) => (it.note ? `📝 #${i + 1} ${escapeHtml(truncate(it.text, 40))}: <i>${escapeHtml(it.note)}</i>` : null))
+    .filter(Boolean);
+}
+
+function formatUnfinishedLines(uid) {
+  return checklistSnapshot(uid)
+    .map((it, i) => (it.done || !it.counts ? null : formatItemLine(i + 1, it)))
+    .filter(Boolean);
+}
+
+const sectionButtonLabel = (title) => `📂 ${title}`;
+
+function formatChecklist(uid) {
+  const st = getUserState(uid);
+
+  const views = itemViews(uid);
+  const allLines = [];
+  let section = null;
+  views.forEach((it, i) => {
+    if (it.section && it.section !== section) allLines.push(`\n<b>${escapeHtml(it.section)}</b>`);
+    section = it.section;
+    allLines.push(formatItemLine(i + 1, it) + (it.description && it.section ? " ℹ️" : ""));
+    if (it.description && !it.section) allLines.push(`   <i>${escapeHtml(it.description)}</i>`);
+    if (it.note) allLines.push(`   📝 <i>${escapeHtml(it.note)}</i>`);
+  });
+
+  const { total, doneCount, complete } = checklistStats(uid);
+  const left = total - doneCount;
+  const carryOver = formatCarryOver(uid, views);
+
+  if (st.compact) {
+    return `<b>Checklist</b> — ${left}/${total} left${complete ? " ✅" : ""}${carryOver ? "\n" + carryOver : ""}`;
+  }
+
+  const hint = views.some((it) => it.description && it.section) ? "\n\n<i>ℹ️ = instructions: tap the 📂 section button.</i>" : "";
+  const g = listGroups().length > 1 ? getGroup(userGroupId(uid)) : null;
+  const template = activeTemplate(getGroup(userGroupId(uid)));
+  const title = [g && groupLabel(g), template?.title].filter(Boolean).map(escapeHtml).join(" · ");
+  const pending = carryOver ? `\n${carryOver}\n` : "";
+  return `<b>Your checklist</b>${title ? ` — ${title}` : ""}\n${pending}${allLines.join("\n")}${hint}`;
+}
+
+function formatSectionInstructions(uid, title) {
+  const lines = [`<b>${escapeHtml(title)}</b>`];
+  userItems(uid).forEach((it, i) => {
+    if (it.section !== title) return;
+    lines.push(`${i + 1}. ${escapeHtml(it.text)}${it.required ? "" : " <i>(optional)</i>"}`);
+    if (it.due) lines.push(`   Due: ${it.due.map((d) => escapeHtml(dueText(d))).join(", ")} ${escapeHtml(tzLabel(groupTz(userGroupId(uid))))}`);
+    if (it.description) lines.push(`   <i>${escapeHtml(it.description)}</i>`);
+  });
+  return lines.join("\n");
+}
+
+const ITEM_LABEL_LEN = 28;
+
+function itemButtonLabel(it, n) {
+  return `${it.done ? "✅" : "⬜️"} #${n}: ${truncate(it.text, ITEM_LABEL_LEN)}`;
+}
+
+/**
+ * Maps a tapped reply-keyboard label back to an item. The label carries both the position and
+ * the (truncated) text, so a keyboard drawn before the list changed cannot hit the wrong item.
+ */
+function resolveTappedItem(uid, n, label) {
+  const items = userItems(uid);
+  const byPos = items[n - 1];
+  if (label === undefined) return byPos || null;
+
+  const matches = (it) => truncate(it.text, ITEM_LABEL_LEN) === label.trim();
+  if (byPos && matches(byPos)) return byPos;
+  return items.find(matches) || null;
+}
+
+function buildDmReplyKeyboard(uid) {
+  const st = getUserState(uid);
+  const B = localeFor(userGroupId(uid)).buttons;
+
+  const rows = [
+    [{ text: B.add }, { text: B.note }, { text: B.refresh }],
+    [{ text: st.removeMode ? B.doneRemoving : B.removeMode }, { text: B.clearChecks }],
+    [{ text: st.compact ? B.fullView : B.compactView }, { text: B.inlineButtons }],
+  ];
+
+  let section = null;
+  itemViews(uid).forEach((it, i) => {
+    if (it.section && it.section !== section) rows.push([{ text: sectionButtonLabel(it.section) }]);
+    section = it.section;
+    rows.push([{ text: itemButtonLabel(it, i + 1) }]);
+  });
+
+  return {
+    reply_markup: {
+      keyboard: rows,
+      resize_keyboard: true,
+      one_time_keyboard: false,
+      input_field_placeholder: B.placeholder,
+    },
+  };
+}
+
+// ===================== Inline checklist =====================
+const INLINE_PAGE_SIZE = 8;
+
+function buildInlineKeyboard(uid) {
+  const st = getUserState(uid);
+  const views = itemViews(uid);
+  const B = localeFor(userGroupId(uid)).buttons;
+
+  const pages = Math.max(1, Math.ceil(views.length / INLINE_PAGE_SIZE));
+  const page = Math.min(Math.max(st.inlinePage, 0), pages - 1);
+  st.inlinePage = page;
+
+  const sections = [...new Set(views.map((v) => v.section).filter(Boolean))];
+  const rows = [];
+
+  let section = null;
+  views.slice(page * INLINE_PAGE_SIZE, (page + 1) * INLINE_PAGE_SIZE).forEach((it, j) => {
+    if (it.section && it.section !== section) {
+      rows.push([{ text: sectionButtonLabel(it.section), callback_data: `sec:${sections.indexOf(it.section)}` }]);
+    }
+    section = it.section;
+
+    const mark = st.removeMode && it.kind === "extra" ? "🗑" : it.done ? "✅" : "⬜️";
+    const n = page * INLINE_PAGE_SIZE + j + 1;
+    rows.push([{ text: `${mark} ${n}. ${truncate(it.text, 40)}`, callback_data: `t:${it.key}` }]);
+  });
+
+  if (pages > 1) {
+    const nav = [];
+    if (page > 0) nav.push({ text: "◀️", callback_data: `pg:${page - 1}` });
+    nav.push({ text: `${page + 1}/${pages}`, callback_data: `pg:${page}` });
+    if (page < pages - 1) nav.push({ text: "▶️", callback_data: `pg:${page + 1}` });
+    rows.push(nav);
+  }
+
+  rows.push(
+    [
+      { text: B.refresh, callback_data: "ck:refresh" },
+      { text: st.compact ? B.fullView : B.compactView, callback_data: "ck:view" },
+    ],
+    [
+      { text: B.add, callback_data: "ck:add" },
+      { text: B.note, callback_data: "ck:note" },
+      { text: B.clearChecks, callback_data: "ck:clear" },
+    ],
+    [
+      { text: st.removeMode ? B.doneRemoving : B.removeMode, callback_data: "ck:remove" },
+      { text: B.replyKeyboard, callback_data: "ck:reply" },
+    ]
+  );
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Inline mode keeps one checklist message per user and edits it in place. `fresh` posts a new one
+ * at the bottom of the chat instead (reminders, /menu) and deletes the old one.
+ */
+async function sendInlineChecklist(uid, { fresh = false, markupOnly = false } = {}) {
+  const st = getUserState(uid);
+  const reply_markup = buildInlineKeyboard(uid);
+
+  if (!fresh && st.inlineMsgId) {
+    try {
+      if (markupOnly) {
+        await bot.editMessageReplyMarkup(reply_markup, { chat_id: uid, message_id: st.inlineMsgId });
+      } else {
+        await bot.editMessageText(formatChecklist(uid), {
+          chat_id: uid,
+          message_id: st.inlineMsgId,
+          parse_mode: "HTML",
+          reply_markup,
+        });
+      }
+      saveData(DB);
+      return;
+    } catch (e) {
+      if (/message is not modified/i.test(e?.response?.body?.description || "")) return;
+      if (VERBOSE) console.warn("inline checklist edit failed; sending a new one:", e?.response?.body || e);
+    }
+  }
+
+  const old = st.inlineMsgId;
+  const sent = await bot.sendMessage(uid, formatChecklist(uid), { parse_mode: "HTML", reply_markup });
+  st.inlineMsgId = sent.message_id;
+  saveData(DB);
+
+  if (old && old !== sent.message_id) bot.deleteMessage(uid, old).catch(() => {});
+}
+
+const NO_GROUP_TEXT = "You are not linked to a group yet. Tap Start Duty in your group chat first.";
+
+async function sendDmChecklist(uid, { fresh = true } = {}) {
+  if (!userGroupId(uid)) {
+    await bot.sendMessage(uid, NO_GROUP_TEXT);
+    return;
+  }
+
+  try {
+    await sendMenuHintOncePerBoot(uid);
+  } catch {}
+
+  if (getUserState(uid).inlineMode) {
+    await sendInlineChecklist(uid, { fresh });
+    return;
+  }
+
+  const sent = await bot.sendMessage(uid, formatChecklist(uid), {
+    parse_mode: "HTML",
+    ...buildDmReplyKeyboard(uid),
+  });
+  // Saved with whatever changes state next; losing it on a crash only stops replies to this message counting as notes.
+  getUserState(uid).checklistMsgId = sent.message_id;
+}
+
+function formatStatusLine(uid) {
+  const { total, doneCount, optionalTotal, optionalDone, complete } = checklistStats(uid);
+  const optional = optionalTotal ? ` (+${optionalDone}/${optionalTotal} optional)` : "";
+  return (complete ? `✅ COMPLETE (${doneCount}/${total})` : `⏳ ${doneCount}/${total} done`) + optional;
+}
+
+// ===================== Group messages =====================
+// Each takes the id of a registered group; the caller loops over listGroups() for bot-wide events.
+async function sendStartDutyPromptToGroup(groupId) {
+  const active = getActiveDuty(groupId);
+  let line = "Tap the button to start duty (DM checklist).";
+  if (active) {
+    const name = await safeGetChatMemberName(groupId, active.userId);
+    line = `Current duty: ${escapeHtml(name)} — ${formatStatusLine(active.userId)}`;
+  }
+
+  await bot.sendMessage(groupId, `🧾 <b>Duty Checklist</b>\n${line}`, {
+    parse_mode: "HTML",
+    reply_markup: {
+      inline_keyboard: [[{ text: localeFor(groupId).buttons.startDuty, callback_data: "start_duty" }]],
+    },
+  });
+}
+
+async function sendMorningPollToGroup(groupId) {
+  const { question, options } = localeFor(groupId).poll;
+  const sent = await bot.sendPoll(groupId, question, options, { is_anonymous: false, allows_multiple_answers: false });
+  if (sent?.poll?.id) recordMorningPoll(groupId, sent, options);
+}
+
+async function announceAwakeToGroup(groupId) {
+  await bot.sendMessage(
+    groupId,
+    ["🟢 <b>COS Checklist Bot Online</b>", "Use <b>Start Duty</b> to open your checklist in DM."].join("\n"),
+    { parse_mode: "HTML" }
+  );
+}
+
+async function announceSleepWarningToGroup(groupId) {
+  await bot.sendMessage(
+    groupId,
+    ["🟠 <b>COS Checklist Bot Standby</b>", "Bot will go offline soon. Ensure your checklist is up to date."].join(
+      "\n"
+    ),
+    { parse_mode: "HTML" }
+  );
+}
+
+async function announceOfflineStatusToGroup(groupId, reason) {
+  const active = getActiveDuty(groupId);
+
+  if (!active) {
+    await bot.sendMessage(
+      groupId,
+      [
+        "🔴 <b>COS Checklist Bot Offline</b>",
+        "No active duty user recorded.",
         reason ? `<i>Reason:</i> ${escapeHtml(reason)}` : "",
       ].filter(Boolean).join("\n"),
       { parse_mode: "HTML" }
@@ -610,263 +2758,3099 @@ async function announceOfflineStatusToGroup(reason) {
     return;
   }
 
-  const name = await safeGetChatMemberName(GROUP_CHAT_ID, active.userId);
-  const status = formatStatusLine(active.userId);
-
-  await bot.sendMessage(
-    GROUP_CHAT_ID,
-    [
-      "🔴 <b>COS Checklist Bot Offline</b>",
-      `<b>Final status</b>: ${escapeHtml(name)} — ${escapeHtml(status)}`,
-      "Bot is now offline. Next run will post <b>Start Duty</b> again.",
-      reason ? `<i>Reason:</i> ${escapeHtml(reason)}` : "",
-    ].filter(Boolean).join("\n"),
-    { parse_mode: "HTML" }
-  );
+  const name = await safeGetChatMemberName(groupId, active.userId);
+  const status = formatStatusLine(active.userId);
+  const { total, doneCount } = checklistStats(active.userId);
+  const left = WEBHOOK_MODE ? 0 : total - doneCount;
+
+  await bot.sendMessage(
+    groupId,
+    [
+      "🔴 <b>COS Checklist Bot Offline</b>",
+      `<b>Final status</b>: ${escapeHtml(name)} — ${escapeHtml(status)}`,
+      ...formatNoteLines(active.userId),
+      left ? `⏭ ${left} unfinished item${left === 1 ? "" : "s"} carry over to the next duty.` : "",
+      WEBHOOK_MODE
+        ? "Bot is restarting. Duty stays open and resumes when it is back."
+        : "Bot is now offline. Next run will post <b>Start Duty</b> again.",
+      reason ? `<i>Reason:</i> ${escapeHtml(reason)}` : "",
+    ].filter(Boolean).join("\n"),
+    { parse_mode: "HTML" }
+  );
+
+  await sendEvidenceToGroup(groupId, active.userId);
+}
+
+async function sendEvidenceToGroup(chatId, uid) {
+  const proofs = itemViews(uid)
+    .map((it, i) => (it.proof ? { ...it.proof, caption: `📎 #${i + 1} ${it.text} — ${formatLocal(it.proof.atIso, groupTz(chatId))}` } : null))
+    .filter(Boolean);
+
+  // Photos go out as albums (Telegram allows 2–10 per group); files one by one.
+  const photos = proofs.filter((p) => p.type === "photo");
+  for (let i = 0; i < photos.length; i += 10) {
+    const chunk = photos.slice(i, i + 10);
+    try {
+      if (chunk.length === 1) {
+        await bot.sendPhoto(chatId, chunk[0].fileId, { caption: chunk[0].caption });
+      } else {
+        await bot.sendMediaGroup(
+          chatId,
+          chunk.map((p) => ({ type: "photo", media: p.fileId, caption: p.caption }))
+        );
+      }
+    } catch (e) {
+      console.error("evidence photos error:", e?.response?.body || e);
+    }
+  }
+
+  for (const p of proofs.filter((x) => x.type === "document")) {
+    try {
+      await bot.sendDocument(chatId, p.fileId, { caption: p.caption });
+    } catch (e) {
+      console.error("evidence document error:", e?.response?.body || e);
+    }
+  }
+}
+
+// ===================== Duty handover (HOTO) =====================
+function getPendingHandover(groupId) {
+  return getGroup(groupId)?.duty.handover || null;
+}
+
+function handoverMinutesLeft(h) {
+  const elapsedMin = (Date.now() - new Date(h.requestedIso).getTime()) / 60000;
+  return Math.max(0, Math.ceil(HANDOVER_TIMEOUT_MINUTES - elapsedMin));
+}
+
+/** A user holds duty in one group at a time: taking it here ends it in any other group. */
+async function releaseOtherDuty(uid, groupId) {
+  const other = dutyGroupOf(uid);
+  if (!other || other.id === String(groupId)) return;
+
+  const status = formatStatusLine(uid);
+  clearActiveDuty(other.id, "moved to another group");
+  try {
+    const name = await safeGetChatMemberName(other.id, uid);
+    await bot.sendMessage(other.id, `ℹ️ ${name} took duty in another group and is now off duty here (${status}).`);
+  } catch {}
+}
+
+async function beginDuty(uid, groupId, userName) {
+  await releaseOtherDuty(uid, groupId);
+  if (!setActiveDuty(uid, groupId, userName)) return;
+  markRosterAck(getGroup(groupId), uid); // tapping Start Duty counts as acknowledging a rostered day
+
+  try {
+    const name = await safeGetChatMemberName(groupId, uid);
+    await bot.sendMessage(groupId, `✅ Duty started: ${name}. Checklist will be in DM.`);
+  } catch {}
+
+  try {
+    await bot.sendMessage(uid, "You are now on duty. Here is your checklist:");
+    await sendDmChecklist(uid);
+    await sendTemplatePicker(uid, groupId);
+  } catch (e) {
+    try {
+      await bot.sendMessage(
+        groupId,
+        "⚠️ I could not DM you. Please open the bot and send /start once, then tap Start Duty again."
+      );
+    } catch {}
+    console.error("start_duty DM error:", e?.response?.body || e);
+  }
+}
+
+async function requestHandover(toUser, groupId) {
+  const g = getGroup(groupId);
+  const active = g.duty.active;
+  const pending = g.duty.handover;
+
+  if (pending) {
+    const line =
+      pending.toUserId === toUser.id
+        ? "Your handover request is still waiting for confirmation."
+        : `A handover to ${pending.toName} is already pending. Try again once it is settled.`;
+    try {
+      await bot.sendMessage(toUser.id, line);
+    } catch {
+      await bot.sendMessage(groupId, `⚠️ ${line}`);
+    }
+    return;
+  }
+
+  const h = {
+    fromUserId: active.userId,
+    toUserId: toUser.id,
+    toName: userDisplayName(toUser),
+    groupChatId: g.id,
+    requestedIso: new Date().toISOString(),
+  };
+  g.duty.handover = h;
+  saveData(DB);
+
+  const fromName = await safeGetChatMemberName(groupId, h.fromUserId);
+  const open = formatUnfinishedLines(h.fromUserId);
+
+  let dmFailed = false;
+  try {
+    await bot.sendMessage(
+      h.fromUserId,
+      [
+        `🔁 <b>Handover requested</b> by ${escapeHtml(h.toName)}.`,
+        `Your status: ${formatStatusLine(h.fromUserId)}`,
+        open.length ? `<b>Unfinished items</b>\n${open.join("\n")}` : "All items are done.",
+        "",
+        "Confirm the HOTO to hand over duty.",
+      ].join("\n"),
+      {
+        parse_mode: "HTML",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "✅ Confirm HOTO", callback_data: `hoto_confirm:${g.id}` },
+              { text: "✋ Not yet", callback_data: `hoto_decline:${g.id}` },
+            ],
+          ],
+        },
+      }
+    );
+  } catch (e) {
+    dmFailed = true;
+    if (VERBOSE) console.warn("handover DM failed:", e?.response?.body || e);
+  }
+
+  await bot.sendMessage(
+    groupId,
+    [
+      `🔁 <b>Handover requested</b>: ${escapeHtml(fromName)} → ${escapeHtml(h.toName)}`,
+      dmFailed
+        ? `⚠️ I could not DM ${escapeHtml(fromName)}.`
+        : `Waiting for ${escapeHtml(fromName)} to confirm in DM.`,
+      `Admins can override after ${HANDOVER_TIMEOUT_MINUTES} min.`,
+    ].join("\n"),
+    {
+      parse_mode: "HTML",
+      reply_markup: { inline_keyboard: [[{ text: "⚡ Admin override", callback_data: "hoto_override" }]] },
+    }
+  );
+
+  try {
+    await bot.sendMessage(toUser.id, `Handover requested. Waiting for ${fromName} to confirm.`);
+  } catch {}
+
+  armHandoverTimeout(g.id);
+}
+
+// Goes by the saved requestedIso, so main() can re-arm it after a restart. Webhook mode: the scheduler checks it instead.
+function armHandoverTimeout(groupId) {
+  const h = getPendingHandover(groupId);
+  if (WEBHOOK_MODE || !h || h.timeoutSentIso) return;
+
+  const ms = Date.parse(h.requestedIso) + HANDOVER_TIMEOUT_MINUTES * 60 * 1000 - Date.now();
+  setTimeout(() => {
+    announceHandoverTimeout(groupId, h.requestedIso).catch((e) =>
+      console.error("announceHandoverTimeout error:", e?.response?.body || e)
+    );
+  }, Math.max(0, ms));
+}
+
+async function announceHandoverTimeout(groupId, requestedIso) {
+  const h = getPendingHandover(groupId);
+  if (!h || h.requestedIso !== requestedIso || h.timeoutSentIso) return;
+  h.timeoutSentIso = new Date().toISOString();
+  saveData(DB);
+
+  const fromName = await safeGetChatMemberName(h.groupChatId, h.fromUserId);
+  await bot.sendMessage(
+    h.groupChatId,
+    `⏰ No HOTO confirmation from ${fromName} after ${HANDOVER_TIMEOUT_MINUTES} min. An admin may now tap “⚡ Admin override”.`
+  );
+}
+
+async function completeHandover(groupId, overrideByName) {
+  const g = getGroup(groupId);
+  const h = g?.duty.handover;
+  if (!h) return false;
+
+  g.duty.handover = null;
+  const active = g.duty.active;
+  if (!active || active.userId !== h.fromUserId) {
+    saveData(DB);
+    return false;
+  }
+
+  const status = formatStatusLine(h.fromUserId);
+  const open = formatUnfinishedLines(h.fromUserId);
+
+  closeActiveShift(groupId, overrideByName ? "handover (admin override)" : "handover");
+  await releaseOtherDuty(h.toUserId, groupId);
+  setActiveDuty(h.toUserId, groupId, h.toName);
+
+  const fromName = await safeGetChatMemberName(groupId, h.fromUserId);
+
+  try {
+    await bot.sendMessage(
+      groupId,
+      [
+        "🔁 <b>HOTO complete</b>",
+        `<b>Outgoing</b>: ${escapeHtml(fromName)} — ${escapeHtml(status)}`,
+        `<b>Incoming</b>: ${escapeHtml(h.toName)}`,
+        open.length ? `<b>Outstanding at handover</b>\n${open.join("\n")}` : "",
+        overrideByName ? `<i>Admin override by ${escapeHtml(overrideByName)}</i>` : `<i>Confirmed by ${escapeHtml(fromName)}</i>`,
+      ].filter(Boolean).join("\n"),
+      { parse_mode: "HTML" }
+    );
+  } catch (e) {
+    console.error("handover group message error:", e?.response?.body || e);
+  }
+
+  try {
+    await bot.sendMessage(h.fromUserId, `✅ Handover to ${h.toName} done. You are now off duty.`);
+  } catch {}
+
+  try {
+    await bot.sendMessage(h.toUserId, `You are now on duty (handover from ${fromName}). Here is your checklist:`);
+    await sendDmChecklist(h.toUserId);
+    await sendTemplatePicker(h.toUserId, groupId);
+  } catch (e) {
+    if (VERBOSE) console.warn("handover incoming DM failed:", e?.response?.body || e);
+  }
+
+  return true;
+}
+
+async function declineHandover(groupId) {
+  const g = getGroup(groupId);
+  const h = g?.duty.handover;
+  if (!h) return;
+
+  g.duty.handover = null;
+  saveData(DB);
+
+  const fromName = await safeGetChatMemberName(h.groupChatId, h.fromUserId);
+  try {
+    await bot.sendMessage(h.toUserId, `${fromName} is not ready to hand over yet.`);
+  } catch {}
+  await bot.sendMessage(h.groupChatId, `✋ ${fromName} declined the handover to ${h.toName} for now (still on duty).`);
+}
+
+// ===================== Duty roster =====================
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const ROSTER_KEEP_PAST_DAYS = 31;
+
+const weekdayOf = (dateStr) => WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+const rosterName = (r) => r.name || `id:${r.userId}`;
+
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** "mon"/"monday", "today"/"tomorrow" or a YYYY-MM-DD date → { weekday } | { date } | null. */
+function parseRosterWhen(s, tz = TIMEZONE) {
+  const t = String(s || "").trim().toLowerCase();
+  const today = nowLocalParts(tz).dateStr;
+  if (t === "today") return { date: today };
+  if (t === "tomorrow") return { date: addDays(today, 1) };
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) {
+    const d = new Date(`${t}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === t ? { date: t } : null;
+  }
+
+  const i = t.length >= 3 ? WEEKDAY_NAMES.findIndex((n) => n.startsWith(t)) : -1;
+  return i >= 0 ? { weekday: WEEKDAYS[i] } : null;
+}
+
+const formatRosterWhen = (w) => (w.date ? w.date : WEEKDAY_NAMES[WEEKDAYS.indexOf(w.weekday)]);
+
+/** Who is rostered on a date: a dated entry wins over the weekly slot. */
+function rosteredFor(g, dateStr) {
+  return g.roster.dates[dateStr] || g.roster.weekly[weekdayOf(dateStr)] || null;
+}
+
+function setRosterSlot(g, when, entry) {
+  const slots = when.date ? g.roster.dates : g.roster.weekly;
+  const k = when.date || when.weekday;
+  if (entry) slots[k] = { userId: entry.userId, name: entry.name || null };
+  else delete slots[k];
+
+  const oldest = addDays(nowLocalParts(groupTz(g.id)).dateStr, -ROSTER_KEEP_PAST_DAYS);
+  for (const d of Object.keys(g.roster.dates)) if (d < oldest) delete g.roster.dates[d];
+}
+
+/**
+ * Roster CSV: one "when,user_id[,name]" row per line; "when" is a weekday or YYYY-MM-DD.
+ * A header row is skipped. Any bad row rejects the whole import.
+ */
+function parseRosterCsv(text, tz = TIMEZONE) {
+  const rows = [];
+  const errors = [];
+
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      const cells = line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1").trim());
+      if (!cells.join("")) return;
+
+      const when = parseRosterWhen(cells[0], tz);
+      if (!when && i === 0 && !/^\d+$/.test(cells[1] || "")) return; // header
+      if (!when) return errors.push(`line ${i + 1}: "${cells[0]}" is not a weekday or YYYY-MM-DD date`);
+      if (!/^\d+$/.test(cells[1] || "")) return errors.push(`line ${i + 1}: user_id must be a numeric Telegram id`);
+
+      rows.push({ when, entry: { userId: Number(cells[1]), name: cells[2] || null } });
+    });
+
+  return { rows, errors };
+}
+
+async function downloadTextFile(fileId) {
+  const link = await bot.getFileLink(fileId);
+  const res = await fetch(link);
+  if (!res.ok) throw new Error(`download failed (HTTP ${res.status})`);
+  return res.text();
+}
+
+function rosterText(g, days = 7) {
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  const lines = [];
+  for (let i = 0; i < days; i++) {
+    const d = addDays(today, i);
+    const r = rosteredFor(g, d);
+    const day = WEEKDAY_NAMES[WEEKDAYS.indexOf(weekdayOf(d))].slice(0, 3);
+    const who = r ? escapeHtml(rosterName(r)) : "—";
+    const ack = i === 0 && r && isRosterAcked(g, today, r.userId) ? " 👍" : "";
+    lines.push(`${i === 0 ? "▶️" : "•"} ${day} ${d}: ${who}${ack}`);
+  }
+
+  const weekly = WEEKDAYS.filter((w) => g.roster.weekly[w]).map(
+    (w) => `${w[0].toUpperCase()}${w.slice(1)} ${escapeHtml(rosterName(g.roster.weekly[w]))}`
+  );
+
+  return [
+    `📅 <b>Duty roster</b>${listGroups().length > 1 ? ` — ${escapeHtml(groupLabel(g))}` : ""}`,
+    ...lines,
+    `<b>Weekly</b>: ${weekly.length ? weekly.join(" · ") : "none"}`,
+    g.roster.swaps.length ? `<i>${g.roster.swaps.length} swap request(s) pending.</i>` : null,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+function isRosterAcked(g, dateStr, uid) {
+  const a = g.roster.ack;
+  return !!a && a.dateStr === dateStr && a.userId === uid;
+}
+
+/** Records today's acknowledgement if `uid` is today's rostered user. Returns true when newly recorded. */
+function markRosterAck(g, uid) {
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  const r = rosteredFor(g, dateStr);
+  if (!r || r.userId !== uid || isRosterAcked(g, dateStr, uid)) return false;
+
+  g.roster.ack = { dateStr, userId: uid, atIso: new Date().toISOString() };
+  saveData(DB);
+  return true;
+}
+
+const rosterAckKeyboard = (g) => ({
+  inline_keyboard: [[{ text: "👍 Acknowledge duty", callback_data: `roster_ack:${g.id}` }]],
+});
+
+const mentionHtml = (r) => `<a href="tg://user?id=${r.userId}">${escapeHtml(rosterName(r))}</a>`;
+
+/** At startup: if nobody holds duty, today's rostered user gets it and is asked to acknowledge. */
+async function assignRosteredDuty(groupId) {
+  const g = getGroup(groupId);
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  const r = rosteredFor(g, dateStr);
+  if (!r || g.duty.active) return;
+
+  await releaseOtherDuty(r.userId, g.id);
+  setActiveDuty(r.userId, g.id, rosterName(r));
+  const acked = isRosterAcked(g, dateStr, r.userId);
+
+  await bot.sendMessage(
+    g.id,
+    [
+      `📅 <b>Rostered duty</b>: ${mentionHtml(r)}. Checklist will be in DM.`,
+      acked
+        ? "Already acknowledged today."
+        : ROSTER_ACK_MINUTES > 0
+          ? `Please acknowledge within ${ROSTER_ACK_MINUTES} min.`
+          : "Please acknowledge.",
+    ].join("\n"),
+    { parse_mode: "HTML", reply_markup: acked ? undefined : rosterAckKeyboard(g) }
+  );
+
+  try {
+    await bot.sendMessage(r.userId, `📅 You are rostered for duty today (${dateStr}). Here is your checklist:`, {
+      reply_markup: acked ? undefined : rosterAckKeyboard(g),
+    });
+    await sendDmChecklist(r.userId);
+    await sendTemplatePicker(r.userId, g.id);
+  } catch (e) {
+    if (VERBOSE) console.warn("roster DM failed:", e?.response?.body || e);
+  }
+
+  if (!acked && ROSTER_ACK_MINUTES > 0) {
+    g.roster.ackPingDue = { dateStr, userId: r.userId, atIso: new Date(Date.now() + ROSTER_ACK_MINUTES * 60 * 1000).toISOString() };
+    saveData(DB);
+    armRosterAckPing(g.id);
+  }
+}
+
+// Like the handover timeout, the ping is saved on the group and re-armed by main() after a restart (or left to the scheduler).
+function armRosterAckPing(groupId) {
+  const due = getGroup(groupId)?.roster.ackPingDue;
+  if (WEBHOOK_MODE || !due) return;
+
+  setTimeout(() => {
+    pingDueRosterAck(groupId).catch((e) => console.error("pingDueRosterAck error:", e?.response?.body || e));
+  }, Math.max(0, Date.parse(due.atIso) - Date.now()));
+}
+
+// A ping that fell due on an earlier day (bot down) is dropped.
+async function pingDueRosterAck(groupId) {
+  const g = getGroup(groupId);
+  const due = g?.roster.ackPingDue;
+  if (!due || Date.now() < Date.parse(due.atIso)) return;
+
+  g.roster.ackPingDue = null;
+  saveData(DB);
+  if (due.dateStr === nowLocalParts(groupTz(g.id)).dateStr) await pingUnacknowledgedDuty(g.id, due.dateStr, due.userId);
+}
+
+/**
+ * Today's rostered user takes over, with a report for the shift that ends. Polling mode runs it at midnight,
+ * webhook mode at ROSTER_DAY_START_SGT (both in the group's time zone).
+ */
+async function startRosterDay(groupId) {
+  const g = getGroup(groupId);
+  const r = g ? rosteredFor(g, nowLocalParts(groupTz(g.id)).dateStr) : null;
+  if (!r || g.duty.active?.userId === r.userId) return;
+
+  if (g.duty.active) {
+    const shift = getActiveShift(g.id);
+    clearActiveDuty(g.id, "roster: next duty day");
+    if (shift) await sendShiftReport(g.id, shift);
+  }
+  await assignRosteredDuty(g.id);
+}
+
+// Midnight in the group's time zone.
+function scheduleRosterDayStart(groupId) {
+  if (!ROSTER_AUTO_ASSIGN) return;
+
+  const now = nowLocalParts(groupTz(groupId));
+  const delayMin = 24 * 60 - (now.hour * 60 + now.minute + now.second / 60);
+  if (DURATION_MINUTES > 0 && delayMin >= DURATION_MINUTES) return;
+
+  setTimeout(async () => {
+    try {
+      await startRosterDay(groupId);
+    } catch (e) {
+      console.error("startRosterDay error:", e?.response?.body || e);
+    }
+  }, delayMin * 60 * 1000);
+}
+
+async function pingUnacknowledgedDuty(groupId, dateStr, uid) {
+  const g = getGroup(groupId);
+  const r = rosteredFor(g, dateStr);
+  if (!r || r.userId !== uid || isRosterAcked(g, dateStr, uid)) return;
+  if (g.duty.active?.userId !== uid) return; // someone else took over meanwhile
+
+  await bot.sendMessage(
+    g.id,
+    `⏰ ${mentionHtml(r)} has not acknowledged duty after ${ROSTER_ACK_MINUTES} min.`,
+    { parse_mode: "HTML", reply_markup: rosterAckKeyboard(g) }
+  );
+}
+
+// ----- Swaps: the requester proposes, the other user accepts, an admin approves -----
+function formatSwap(s) {
+  const status = [
+    s.acceptedIso ? `✅ accepted by ${escapeHtml(rosterName(s.userB))}` : `⏳ waiting for ${escapeHtml(rosterName(s.userB))}`,
+    s.approvedBy ? `✅ approved by ${escapeHtml(s.approvedBy)}` : "⏳ waiting for an admin",
+  ];
+  const what = s.dateB
+    ? `${escapeHtml(rosterName(s.userA))} (${s.dateA}) ⇄ ${escapeHtml(rosterName(s.userB))} (${s.dateB})`
+    : `${escapeHtml(rosterName(s.userB))} covers ${escapeHtml(rosterName(s.userA))} on ${s.dateA}`;
+  return [`🔀 <b>Swap request</b>: ${what}`, ...status].join("\n");
+}
+
+function swapKeyboard(s) {
+  const row = [];
+  if (!s.acceptedIso) row.push({ text: `✅ Accept (${truncate(rosterName(s.userB), 20)})`, callback_data: `swap:accept:${s.id}` });
+  if (!s.approvedBy) row.push({ text: "👍 Admin approve", callback_data: `swap:approve:${s.id}` });
+  return { inline_keyboard: [row, [{ text: "❌ Decline", callback_data: `swap:reject:${s.id}` }]] };
+}
+
+/** Past swaps are dropped; a swap only applies if the roster still matches what was requested. */
+function pruneSwaps(g) {
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  g.roster.swaps = g.roster.swaps.filter((s) => s.dateA >= today && (!s.dateB || s.dateB >= today));
+}
+
+function swapStillValid(g, s) {
+  if (rosteredFor(g, s.dateA)?.userId !== s.userA.userId) return false;
+  return !s.dateB || rosteredFor(g, s.dateB)?.userId === s.userB.userId;
+}
+
+async function requestSwap(msg, args) {
+  const g = getGroup(msg.chat.id);
+  const requester = msg.from;
+  const [dateTok, otherTok] = args;
+
+  const whenA = parseRosterWhen(dateTok, groupTz(g.id));
+  if (!whenA?.date) {
+    await bot.sendMessage(
+      g.id,
+      "Usage: /swap YYYY-MM-DD [YYYY-MM-DD] — with a second date, trade days with whoever is rostered then; " +
+        "without one, reply to the message of the person who should cover your day."
+    );
+    return;
+  }
+
+  pruneSwaps(g);
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  const userA = rosteredFor(g, whenA.date);
+  if (whenA.date < today || !userA || userA.userId !== requester.id) {
+    await bot.sendMessage(g.id, `You are not rostered on ${whenA.date}. See /roster.`);
+    return;
+  }
+
+  let dateB = null;
+  let userB = null;
+  if (otherTok) {
+    const whenB = parseRosterWhen(otherTok, groupTz(g.id));
+    dateB = whenB?.date || null;
+    userB = dateB && dateB >= today ? rosteredFor(g, dateB) : null;
+    if (!userB) {
+      await bot.sendMessage(g.id, `Nobody is rostered on ${escapeHtml(otherTok)} to swap with.`);
+      return;
+    }
+  } else {
+    userB = await resolveMentionedUser(msg, "");
+    if (!userB) {
+      await bot.sendMessage(g.id, "Reply to the message of the person who should cover your day, or give their rostered date.");
+      return;
+    }
+  }
+  if (userB.userId === userA.userId) {
+    await bot.sendMessage(g.id, "You cannot swap with yourself.");
+    return;
+  }
+
+  const s = {
+    id: Date.now().toString(36),
+    messageId: null,
+    requestedIso: new Date().toISOString(),
+    dateA: whenA.date,
+    userA: { userId: userA.userId, name: userA.name || userDisplayName(requester) },
+    dateB,
+    userB: { userId: userB.userId, name: userB.name || null },
+    acceptedIso: null,
+    approvedBy: null,
+  };
+
+  const sent = await bot.sendMessage(g.id, formatSwap(s), { parse_mode: "HTML", reply_markup: swapKeyboard(s) });
+  s.messageId = sent?.message_id || null;
+  g.roster.swaps.push(s);
+  saveData(DB);
+}
+
+async function onSwapCallback(q, arg) {
+  const [action, id] = arg.split(":");
+  const g = q.message ? getGroup(q.message.chat.id) : null;
+  const s = g?.roster.swaps.find((x) => x.id === id);
+  if (!s) return { text: "This swap request is no longer pending." };
+
+  const uid = q.from.id;
+  const admin = await hasPermission(g.id, uid, "manageGroup");
+  const settle = async (line) => {
+    g.roster.swaps = g.roster.swaps.filter((x) => x !== s);
+    saveData(DB);
+    try {
+      await bot.editMessageText(`${formatSwap(s)}\n${line}`, {
+        chat_id: g.id,
+        message_id: q.message.message_id,
+        parse_mode: "HTML",
+      });
+    } catch {}
+  };
+
+  if (action === "reject") {
+    if (uid !== s.userB.userId && uid !== s.userA.userId && !admin) {
+      return { text: "Only the two people involved or an admin can decline.", alert: true };
+    }
+    await settle(`❌ Declined by ${escapeHtml(userDisplayName(q.from))}`);
+    return;
+  }
+
+  if (action === "accept") {
+    if (uid !== s.userB.userId) return { text: `Only ${rosterName(s.userB)} can accept this swap.`, alert: true };
+    s.acceptedIso = new Date().toISOString();
+  } else if (action === "approve") {
+    if (!admin) return { text: "Only group admins can approve swaps.", alert: true };
+    s.approvedBy = userDisplayName(q.from);
+  } else {
+    return;
+  }
+
+  if (!s.acceptedIso || !s.approvedBy) {
+    saveData(DB);
+    try {
+      await bot.editMessageText(formatSwap(s), {
+        chat_id: g.id,
+        message_id: q.message.message_id,
+        parse_mode: "HTML",
+        reply_markup: swapKeyboard(s),
+      });
+    } catch {}
+    return;
+  }
+
+  if (!swapStillValid(g, s)) {
+    await settle("⚠️ The roster changed since this request; swap cancelled.");
+    return;
+  }
+
+  setRosterSlot(g, { date: s.dateA }, s.userB);
+  if (s.dateB) setRosterSlot(g, { date: s.dateB }, s.userA);
+  await settle("🔀 <b>Swap done.</b> See /roster.");
+
+  const today = nowLocalParts(groupTz(g.id)).dateStr;
+  if ((s.dateA === today || s.dateB === today) && g.duty.active && g.duty.active.userId !== rosteredFor(g, today).userId) {
+    await bot.sendMessage(g.id, "ℹ️ Today's duty is unchanged until the new duty user taps Start Duty (handover).");
+  }
+}
+
+async function onRosterAckCallback(q, arg) {
+  const g = getGroup(arg || (q.message ? q.message.chat.id : null));
+  if (!g) return { text: "This group is not registered." };
+
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  const r = rosteredFor(g, dateStr);
+  if (!r || r.userId !== q.from.id) return { text: "You are not on today's roster.", alert: true };
+  if (!markRosterAck(g, q.from.id)) return { text: "Already acknowledged." };
+
+  try {
+    await bot.sendMessage(g.id, `👍 ${mentionHtml(r)} acknowledged duty.`, { parse_mode: "HTML" });
+  } catch {}
+  return { text: "✅ Duty acknowledged." };
+}
+
+// ===================== History views =====================
+function formatShiftWindow(shift) {
+  const tz = groupTz(shift.groupChatId);
+  const start = formatLocal(shift.startIso, tz);
+  if (!shift.endIso) return `${start} → now`;
+  const end = formatLocal(shift.endIso, tz);
+  return `${start} → ${end.slice(0, 10) === start.slice(0, 10) ? end.slice(11) : end}`;
+}
+
+function formatShiftResult(shift) {
+  if (!shift.final) return "🟢 on duty";
+  const { doneCount, total, complete } = shift.final;
+  return complete ? `✅ ${doneCount}/${total}` : `⏳ ${doneCount}/${total}`;
+}
+
+function formatShiftSummary(shift) {
+  const who = escapeHtml(shift.userName || `id:${shift.userId}`) + (shift.template ? ` (${escapeHtml(shift.template)})` : "");
+  const reason = shift.endReason ? ` <i>(${escapeHtml(shift.endReason)})</i>` : "";
+  return `• ${formatShiftWindow(shift)} — ${who} — ${formatShiftResult(shift)}${reason}`;
+}
+
+function formatShiftDetail(shift) {
+  const items = shift.final ? shift.final.items : checklistSnapshot(shift.userId);
+  const open = items.filter((it) => !it.done);
+  const ticks = shift.ticks.slice(-15);
+
+  const lines = [
+    `<b>${formatShiftWindow(shift)} ${tzLabel(groupTz(shift.groupChatId))}</b>`,
+    `Duty: ${escapeHtml(shift.userName || `id:${shift.userId}`)} — ${formatShiftResult(shift)}` +
+      (shift.endReason ? ` <i>(${escapeHtml(shift.endReason)})</i>` : ""),
+  ];
+
+  lines.push(open.length ? "Not done:" : "All items done.");
+  for (const it of open) lines.push(`  ⬜️ ${escapeHtml(it.text)}`);
+
+  if (ticks.length) {
+    lines.push(shift.ticks.length > ticks.length ? `Toggles (last ${ticks.length}):` : "Toggles:");
+    for (const t of ticks) {
+      const mark = t.kind === "clear" ? "🧹" : t.done ? "✅" : "⬜️";
+      lines.push(`  ${formatLocal(t.atIso, groupTz(shift.groupChatId)).slice(11)} ${mark} ${escapeHtml(t.text)}`);
+    }
+  } else {
+    lines.push("No toggles recorded.");
+  }
+
+  return lines.join("\n");
+}
+
+function groupShifts(groupId) {
+  ensureRoot();
+  return DB.history.filter((h) => String(h.groupChatId) === String(groupId));
+}
+
+function historyText(groupId, isDm, n) {
+  const shifts = groupShifts(groupId)
+    .slice(-n)
+    .reverse();
+
+  if (!shifts.length) return "No duty shifts recorded yet.";
+
+  // Stay under Telegram's 4096-char limit without cutting through an HTML tag.
+  const blocks = [];
+  let len = 0;
+  for (const shift of shifts) {
+    const block = isDm ? formatShiftDetail(shift) : formatShiftSummary(shift);
+    if (blocks.length && len + block.length > 3800) break;
+    blocks.push(block);
+    len += block.length + 2;
+  }
+
+  return `<b>Duty history</b> — last ${blocks.length}\n${blocks.join(isDm ? "\n\n" : "\n")}`;
+}
+
+// ===================== Shift reports =====================
+// CSV for spreadsheets + a standalone HTML page (open and "Print → Save as PDF").
+function shiftReportRows(shift) {
+  const items = shift.final ? shift.final.items : checklistSnapshot(shift.userId);
+
+  // Last tick per item that left it done = when it was ticked.
+  const tickedAt = {};
+  for (const t of shift.ticks) {
+    if (!t.key) continue;
+    if (t.done) tickedAt[t.key] = t.atIso;
+    else delete tickedAt[t.key];
+  }
+
+  return items.map((it, i) => ({
+    n: i + 1,
+    section: it.section || "",
+    text: it.text,
+    required: it.required !== false,
+    status: it.done ? "done" : it.counts === false ? "not due" : it.overdue ? "overdue" : "not done",
+    due: it.due || "",
+    tickedAt: it.done ? tickedAt[it.key] || it.proof?.atIso || null : null,
+    evidence: it.proof ? it.proof.name || it.proof.type : "",
+    note: it.note || "",
+  }));
+}
+
+function shiftReportMeta(shift) {
+  const stats = shift.final || checklistStats(shift.userId);
+  const tz = groupTz(shift.groupChatId);
+  return {
+    user: shift.userName || `id:${shift.userId}`,
+    tz,
+    tzLabel: tzLabel(tz),
+    start: formatLocal(shift.startIso, tz),
+    end: shift.endIso ? formatLocal(shift.endIso, tz) : "in progress",
+    endReason: shift.endReason || "",
+    template: shift.template ? listTemplates().get(shift.template)?.title || shift.template : "",
+    result: `${stats.complete ? "COMPLETE" : "INCOMPLETE"} ${stats.doneCount}/${stats.total}`,
+  };
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// The *_sgt columns stay in SGT for existing imports; the columns after them are in the group's time zone.
+function buildShiftCsv(shift) {
+  const meta = shiftReportMeta(shift);
+  const sgt = (iso) => (iso ? formatLocal(iso, "Asia/Singapore") : "");
+  const header = [
+    "duty_user", "shift_start_sgt", "shift_end_sgt", "end_reason",
+    "no", "section", "item", "required", "status", "due", "ticked_at_sgt", "evidence",
+    "timezone", "shift_start", "shift_end", "ticked_at", "template", "note",
+  ];
+  const lines = [header.join(",")];
+  for (const r of shiftReportRows(shift)) {
+    lines.push(
+      [
+        meta.user, sgt(shift.startIso), shift.endIso ? sgt(shift.endIso) : meta.end, meta.endReason,
+        r.n, r.section, r.text, r.required ? "yes" : "no", r.status, r.due, sgt(r.tickedAt), r.evidence,
+        meta.tz, meta.start, meta.end, r.tickedAt ? formatLocal(r.tickedAt, meta.tz) : "", meta.template, r.note,
+      ].map(csvCell).join(",")
+    );
+  }
+  // BOM so Excel opens it as UTF-8.
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function buildShiftHtml(shift) {
+  const meta = shiftReportMeta(shift);
+  const rows = shiftReportRows(shift)
+    .map(
+      (r) =>
+        `<tr class="${r.status.replace(" ", "-")}"><td>${r.n}</td><td>${escapeHtml(r.section)}</td>` +
+        `<td>${escapeHtml(r.text)}${r.required ? "" : " <i>(optional)</i>"}</td><td>${escapeHtml(r.status)}</td>` +
+        `<td>${escapeHtml(r.due)}</td><td>${r.tickedAt ? formatLocal(r.tickedAt, meta.tz) : ""}</td><td>${escapeHtml(r.evidence)}</td><td>${escapeHtml(r.note)}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Duty shift report — ${escapeHtml(meta.start)}</title>
+<style>
+body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;width:100%}
+th,td{border:1px solid #999;padding:4px 8px;text-align:left}th{background:#eee}
+tr.done td:nth-child(4){color:#080}tr.not-done td:nth-child(4),tr.overdue td:nth-child(4){color:#c00;font-weight:bold}
+</style></head><body>
+<h1>Duty shift report</h1>
+<p><b>Duty:</b> ${escapeHtml(meta.user)}<br>
+<b>Shift:</b> ${escapeHtml(meta.start)} → ${escapeHtml(meta.end)} ${escapeHtml(meta.tzLabel)}${meta.endReason ? ` (${escapeHtml(meta.endReason)})` : ""}<br>
+${meta.template ? `<b>Checklist:</b> ${escapeHtml(meta.template)}<br>\n` : ""}<b>Result:</b> ${escapeHtml(meta.result)}</p>
+<table><thead><tr><th>#</th><th>Section</th><th>Item</th><th>Status</th><th>Due</th><th>Ticked at (${escapeHtml(meta.tzLabel)})</th><th>Evidence</th><th>Note</th></tr></thead>
+<tbody>
+${rows}
+</tbody></table>
+<p><small>Generated ${escapeHtml(formatLocal(new Date().toISOString(), meta.tz))} ${escapeHtml(meta.tzLabel)}</small></p>
+</body></html>
+`;
+}
+
+async function sendShiftReport(chatId, shift) {
+  const meta = shiftReportMeta(shift);
+  const base = `shift-report-${meta.start.replace(" ", "-").replace(":", "")}`;
+  const caption = `📄 Shift report — ${meta.user}${meta.template ? ` (${meta.template})` : ""} — ${meta.start} → ${meta.end} — ${meta.result}`;
+
+  const files = [
+    { data: buildShiftCsv(shift), filename: `${base}.csv`, contentType: "text/csv" },
+    { data: buildShiftHtml(shift), filename: `${base}.html`, contentType: "text/html" },
+  ];
+  for (const [i, f] of files.entries()) {
+    try {
+      await bot.sendDocument(chatId, Buffer.from(f.data, "utf8"), i === 0 ? { caption } : {}, {
+        filename: f.filename,
+        contentType: f.contentType,
+      });
+    } catch (e) {
+      console.error("shift report error:", e?.response?.body || e);
+    }
+  }
+}
+
+// ===================== Completion stats =====================
+// /stats [period] [chart]: closed shifts of the period (see parseStatsPeriod), scored on each shift's final
+// snapshot. Timed items that were not due yet at shift end are not counted, like in checklistStats().
+const STATS_DEFAULT_DAYS = 30;
+
+/** "7d", "4w", "3m", a bare number of days, or "all" → { days } (days null = all); null on bad input. */
+function parseStatsPeriod(s) {
+  const t = String(s || "").trim().toLowerCase();
+  if (!t) return { days: STATS_DEFAULT_DAYS };
+  if (t === "all") return { days: null };
+  const m = /^(\d{1,4})\s*([dwm]?)$/.exec(t);
+  if (!m || Number(m[1]) < 1) return null;
+  return { days: Number(m[1]) * ({ d: 1, w: 7, m: 30 }[m[2]] || 1) };
+}
+
+const formatMinutes = (min) => (min >= 60 ? `${Math.floor(min / 60)}h ${String(Math.round(min % 60)).padStart(2, "0")}m` : `${Math.round(min)}m`);
+const percent = (n, d) => `${d ? Math.round((100 * n) / d) : 0}%`;
+
+/** When the shift's required items were all done: the latest tick that left one of them ticked. */
+function shiftCompletedMs(shift) {
+  const tickedAt = {};
+  for (const t of shift.ticks) {
+    if (!t.key) continue;
+    if (t.done) tickedAt[t.key] = t.atIso;
+    else delete tickedAt[t.key];
+  }
+  const times = shift.final.items.filter((it) => it.required && it.done && tickedAt[it.key]).map((it) => Date.parse(tickedAt[it.key]));
+  return times.length ? Math.max(...times) : null;
+}
+
+function completionStats(groupId, days) {
+  const cutoff = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  const shifts = groupShifts(groupId).filter((h) => h.final && Date.parse(h.startIso) >= cutoff);
+  // Older shifts of this group were dropped by HISTORY_MAX_SHIFTS, and the period reaches back past them.
+  const trimmedIso = getGroup(groupId)?.historyTrimmedIso || null;
+  const truncatedIso = trimmedIso && Date.parse(trimmedIso) >= cutoff ? trimmedIso : null;
+  // Current wording for items still on the list; removed ones keep the text they had.
+  const current = new Map(listItems(groupId).map((it) => [it.key, it.text]));
+
+  const items = new Map();
+  const users = new Map();
+  const group = { shifts: shifts.length, complete: 0, ratioSum: 0, minutes: [], streak: 0, best: 0 };
+
+  for (const h of shifts) {
+    for (const it of h.final.items) {
+      if (it.counts === false) continue;
+      const s = items.get(it.key) || { key: it.key, text: it.text, required: it.required !== false, seen: 0, done: 0 };
+      s.text = current.get(it.key) || it.text;
+      s.seen++;
+      if (it.done) s.done++;
+      items.set(it.key, s);
+    }
+
+    const u = users.get(h.userId) || { userId: h.userId, name: h.userName, shifts: 0, complete: 0, ratioSum: 0, minutes: [], streak: 0, best: 0 };
+    u.name = h.userName || u.name;
+    const ratio = h.final.total ? h.final.doneCount / h.final.total : 1;
+    const doneMs = h.final.complete ? shiftCompletedMs(h) : null;
+    for (const s of [group, u]) {
+      if (s === u) s.shifts++;
+      s.ratioSum += ratio;
+      if (h.final.complete) s.complete++;
+      if (doneMs) s.minutes.push((doneMs - Date.parse(h.startIso)) / 60000);
+      s.streak = h.final.complete ? s.streak + 1 : 0;
+      s.best = Math.max(s.best, s.streak);
+    }
+    users.set(h.userId, u);
+  }
+
+  const byRate = [...items.values()].sort((a, b) => a.done / a.seen - b.done / b.seen || b.seen - a.seen);
+  return { days, group, items: byRate, users: [...users.values()].sort((a, b) => b.shifts - a.shifts), truncatedIso };
+}
+
+function statsText(groupId, stats, { full = false, uid = null } = {}) {
+  const { group } = stats;
+  const period = stats.days ? `last ${stats.days} days` : "all time";
+  const lines = [`<b>Checklist stats</b> — ${period} (${group.shifts} shift${group.shifts === 1 ? "" : "s"})`];
+  if (stats.truncatedIso) {
+    const { dateStr } = localParts(new Date(stats.truncatedIso), groupTz(groupId));
+    lines.push(`<i>Shifts up to ${dateStr} were dropped from history (HISTORY_MAX_SHIFTS=${HISTORY_MAX_SHIFTS}) and are not counted.</i>`);
+  }
+  if (!group.shifts) {
+    lines.push("No finished duty shifts in this period.");
+    return lines.join("\n");
+  }
+
+  const avg = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  lines.push(
+    `Complete shifts: ${group.complete}/${group.shifts} (${percent(group.complete, group.shifts)}) · streak ${group.streak} (best ${group.best})`,
+    `Avg. completion at shift end: ${percent(group.ratioSum, group.shifts)}` +
+      (group.minutes.length ? ` · avg. time to complete: ${formatMinutes(avg(group.minutes))}` : "")
+  );
+
+  const active = getActiveDuty(groupId);
+  if (active) lines.push(`Now: ${escapeHtml(knownName(active.userId))} — ${escapeHtml(formatStatusLine(active.userId))}`);
+
+  // Only required items are ranked; skipping an optional one is allowed, so those are listed apart.
+  const missed = stats.items.filter((s) => s.done < s.seen);
+  const missedLine = (s) => `• ${escapeHtml(truncate(s.text, 60))} — missed ${s.seen - s.done}/${s.seen}`;
+  const required = missed.filter((s) => s.required);
+  const optional = missed.filter((s) => !s.required);
+  lines.push("", "<b>Most missed</b>");
+  if (!required.length) lines.push("No required item missed. 🎉");
+  for (const s of required.slice(0, full ? 10 : 5)) lines.push(missedLine(s));
+  if (optional.length) {
+    lines.push("", "<b>Optional items skipped</b>");
+    for (const s of optional.slice(0, full ? 10 : 5)) lines.push(missedLine(s));
+  }
+
+  lines.push("", "<b>By user</b> (shifts · avg. at end · complete · time to complete · streak)");
+  for (const u of stats.users.slice(0, full ? 20 : 10)) {
+    const name = escapeHtml(u.name || `id:${u.userId}`);
+    const time = u.minutes.length ? formatMinutes(avg(u.minutes)) : "–";
+    const me = u.userId === uid ? " ◀️" : "";
+    lines.push(`• ${name} — ${u.shifts} · ${percent(u.ratioSum, u.shifts)} · ${u.complete} · ${time} · ${u.streak} (best ${u.best})${me}`);
+  }
+
+  if (full) {
+    lines.push("", "<b>All items</b> (done / counted shifts)");
+    for (const s of stats.items.slice(0, 40)) {
+      lines.push(`${percent(s.done, s.seen)} ${escapeHtml(truncate(s.text, 50))} (${s.done}/${s.seen})`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/** Horizontal bar chart of per-item completion; SVG so it renders without any image library. */
+function buildStatsSvg(groupId, stats) {
+  const rows = stats.items.slice(0, 30);
+  const rowH = 22;
+  const labelW = 360;
+  const barW = 400;
+  const top = 50;
+  const height = top + rows.length * rowH + 30;
+  const g = getGroup(groupId);
+  const title = `Completion per item — ${g ? groupLabel(g) : groupId}, ${stats.days ? `last ${stats.days} days` : "all time"} (${stats.group.shifts} shifts)`;
+
+  const bars = rows
+    .map((s, i) => {
+      const y = top + i * rowH;
+      const rate = s.done / s.seen;
+      const color = rate >= 0.9 ? "#2e7d32" : rate >= 0.6 ? "#f9a825" : "#c62828";
+      return (
+        `<text x="${labelW - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(truncate(s.text, 48))}</text>` +
+        `<rect x="${labelW}" y="${y + 3}" width="${Math.max(1, Math.round(rate * barW))}" height="${rowH - 6}" fill="${color}"/>` +
+        `<text x="${labelW + Math.round(rate * barW) + 6}" y="${y + 15}">${percent(s.done, s.seen)} (${s.done}/${s.seen})</text>`
+      );
+    })
+    .join("\n");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelW + barW + 110}" height="${height}" font-family="sans-serif" font-size="12">
+<rect width="100%" height="100%" fill="#fff"/>
+<text x="10" y="26" font-size="15" font-weight="bold">${escapeHtml(title)}</text>
+<line x1="${labelW}" y1="${top - 4}" x2="${labelW}" y2="${top + rows.length * rowH}" stroke="#999"/>
+${bars}
+</svg>
+`;
+}
+
+async function sendStatsChart(chatId, groupId, stats) {
+  if (!stats.items.length) return;
+  const caption = `📊 Completion per item — ${stats.days ? `last ${stats.days} days` : "all time"} (SVG: open it in a browser)`;
+  await bot.sendDocument(chatId, Buffer.from(buildStatsSvg(groupId, stats), "utf8"), { caption }, {
+    filename: `checklist-stats-${nowLocalParts(groupTz(groupId)).dateStr}.svg`,
+    contentType: "image/svg+xml",
+  });
+}
+
+// ===================== Reminders =====================
+/**
+ * A reminder schedule is a comma list of marks:
+ *   30 or +30       → 30 min after the run starts
+ *   -10 or end-10   → 10 min before the run ends (only when DURATION_MINUTES > 0)
+ * In webhook mode "run" means the duty shift, and end marks use SHIFT_MINUTES instead.
+ * A trailing "!" escalates the mark: it tags the group admins while the duty checklist is incomplete.
+ */
+function parseReminderSchedule(spec) {
+  const marks = [];
+  for (const part of String(spec || "").split(",")) {
+    const t = part.trim();
+    if (!t) continue;
+
+    const m = /^(\+|-|end\s*-)?\s*(\d{1,4})\s*(!)?$/i.exec(t);
+    if (!m) throw new Error(`"${t}" is not a reminder mark (use 30, -10 or end-10; add ! to tag admins)`);
+    marks.push({ fromEnd: !!m[1] && m[1] !== "+", minutes: Number(m[2]), escalate: !!m[3] });
+  }
+
+  if (!marks.length) throw new Error("the reminder schedule is empty");
+  return marks;
+}
+
+const formatReminderMark = (mk) => `${mk.fromEnd ? "-" : ""}${mk.minutes}${mk.escalate ? "!" : ""}`;
+
+// A group's own /reminders schedule, else REMINDER_SCHEDULE (also used when the group is unknown).
+function getReminderSchedule(groupId) {
+  try {
+    return parseReminderSchedule(getGroup(groupId)?.reminderSchedule || REMINDER_SCHEDULE);
+  } catch (e) {
+    console.warn("⚠️ Invalid reminder schedule; using default. Reason:", e?.message || e);
+    return parseReminderSchedule(DEFAULT_REMINDER_SCHEDULE);
+  }
+}
+
+// Marks outside the run (webhook mode: the shift) never fire; they are listed, but flagged.
+function describeReminderSchedule(groupId) {
+  const [length, span] = WEBHOOK_MODE ? [SHIFT_MINUTES, "the shift"] : [DURATION_MINUTES, "this run"];
+  return getReminderSchedule(groupId)
+    .map((mk) => {
+      const when = mk.fromEnd ? `${mk.minutes} min before end` : `${mk.minutes} min`;
+      const skipped = reminderMarkMinute(mk, length) === null ? ` (outside ${span}, skipped)` : "";
+      return `${when}${mk.escalate ? " ⚠️" : ""}${skipped}`;
+    })
+    .join(" / ");
+}
+
+/** At boot: a schedule where no mark falls inside the run sends no reminders at all. */
+function warnUnreachableReminders(groupId) {
+  const marks = getReminderSchedule(groupId);
+  if (marks.some((mk) => reminderMarkMinute(mk) !== null)) return;
+  const spec = marks.map(formatReminderMark).join(",");
+  console.warn(
+    `⚠️ Reminder schedule "${spec}" of group ${groupId} has no mark inside DURATION_MINUTES=${DURATION_MINUTES}; it gets no reminders.`
+  );
+}
+
+/**
+ * Minutes after start for a mark, or null when it does not fall inside the window. `length` is the run
+ * (polling mode) or the duty shift (webhook mode); 0 = open-ended.
+ */
+function reminderMarkMinute(mk, length = DURATION_MINUTES) {
+  if (mk.fromEnd) {
+    if (length <= 0) return null;
+    const at = length - mk.minutes;
+    return at >= 0 ? at : null;
+  }
+  if (length > 0 && mk.minutes >= length) return null;
+  return mk.minutes;
+}
+
+async function sendRunReminder(groupId, mk) {
+  const label = mk.fromEnd ? `${mk.minutes} min left` : `${mk.minutes} min`;
+  const active = getActiveDuty(groupId);
+
+  if (!active || !active.userId) {
+    try {
+      const tag = mk.escalate ? await adminMentions(groupId) : "";
+      await bot.sendMessage(
+        groupId,
+        `⏱️ ${label} — Reminder: no duty user is active.${tag ? `\n🔔 ${tag}` : ""}`,
+        { parse_mode: "HTML" }
+      );
+    } catch {}
+    return;
+  }
+
+  const dutyUid = active.userId;
+  const { complete } = checklistStats(dutyUid);
+
+  try {
+    const name = await safeGetChatMemberName(groupId, dutyUid);
+    const tag = mk.escalate && !complete ? await adminMentions(groupId) : "";
+    const notes = formatNoteLines(dutyUid);
+    await bot.sendMessage(
+      groupId,
+      `⏱️ ${label} — Duty: ${escapeHtml(name)} — ${formatStatusLine(dutyUid)}` +
+        (notes.length ? `\n${notes.join("\n")}` : "") +
+        (tag ? `\n🔔 Still incomplete: ${tag}` : ""),
+      { parse_mode: "HTML" }
+    );
+  } catch (e) {
+    console.error("group reminder error:", e?.response?.body || e);
+  }
+
+  try {
+    await bot.sendMessage(dutyUid, `⏱️ ${label} reminder — your status: ${formatStatusLine(dutyUid)}`);
+    await sendDmChecklist(dutyUid);
+  } catch (e) {
+    if (VERBOSE) console.warn("dm reminder failed:", e?.response?.body || e);
+  }
+}
+
+// ===================== Overdue alerts (timed items) =====================
+async function checkOverdueItems(groupId) {
+  const g = getGroup(groupId);
+  if (!g) return;
+  const now = nowLocalParts(groupTz(g.id));
+
+  for (const k of Object.keys(g.overdueAlerts)) {
+    if (!k.startsWith(now.dateStr)) delete g.overdueAlerts[k];
+  }
+
+  const active = g.duty.active;
+  const st = active ? getUserState(active.userId) : { done: {} };
+
+  const overdue = [];
+  for (const it of listItems(g.id)) {
+    if (!it.due) continue;
+    const s = itemState(st, it, now);
+    if (!s.overdue) continue;
+
+    // One alert per item occurrence, even across runs.
+    const k = `${s.occ.key} ${it.key}`;
+    if (g.overdueAlerts[k]) continue;
+    g.overdueAlerts[k] = new Date().toISOString();
+    overdue.push(`• ${escapeHtml(it.text)} — due ${escapeHtml(s.due)}`);
+  }
+
+  if (!overdue.length) return;
+  saveData(DB);
+
+  if (active) {
+    try {
+      await bot.sendMessage(active.userId, ["⚠️ <b>Overdue</b>", ...overdue, "Tap the item once it is done."].join("\n"), {
+        parse_mode: "HTML",
+      });
+      await sendDmChecklist(active.userId);
+    } catch (e) {
+      if (VERBOSE) console.warn("overdue DM failed:", e?.response?.body || e);
+    }
+  }
+
+  const who = active
+    ? `Duty: ${escapeHtml(await safeGetChatMemberName(g.id, active.userId))}`
+    : "No duty user is active.";
+  await bot.sendMessage(g.id, [`⚠️ <b>Overdue</b> — ${who}`, ...overdue].join("\n"), { parse_mode: "HTML" });
+}
+
+/**
+ * Checks a group for overdue items now (anything that fell overdue while the bot was down) and then
+ * OVERDUE_GRACE_MINUTES after each due time that falls inside this run. overdueAlerts keeps it to one alert per occurrence.
+ */
+function scheduleDueTimeAlerts(groupId) {
+  checkOverdueItems(groupId).catch((e) => console.error("checkOverdueItems error:", e?.response?.body || e));
+
+  const now = nowLocalParts(groupTz(groupId));
+  const nowMin = now.hour * 60 + now.minute + now.second / 60;
+
+  const marks = new Set();
+  for (const it of listItems(groupId)) {
+    for (const d of it.due || []) marks.add(hhmmToMin(d.time) + OVERDUE_GRACE_MINUTES);
+  }
+
+  for (const mark of marks) {
+    const delayMin = mark - nowMin;
+    if (delayMin <= 0) continue;
+    if (DURATION_MINUTES > 0 && delayMin >= DURATION_MINUTES) continue;
+
+    setTimeout(() => {
+      checkOverdueItems(groupId).catch((e) => console.error("checkOverdueItems error:", e?.response?.body || e));
+    }, delayMin * 60 * 1000 + 1000);
+
+    if (VERBOSE) console.log(`Overdue check for ${groupId} scheduled at +${Math.ceil(delayMin)}min`);
+  }
+}
+
+let runStartedAtMs = null;
+const reminderTimers = [];
+
+// Safe to call again after a schedule changes or a group registers: marks already past in this run are skipped.
+function scheduleRunReminders() {
+  const firstRun = runStartedAtMs === null;
+  if (firstRun) runStartedAtMs = Date.now();
+  for (const t of reminderTimers.splice(0)) clearTimeout(t);
+
+  const elapsedMs = Date.now() - runStartedAtMs;
+
+  for (const g of listGroups()) {
+    for (const mk of getReminderSchedule(g.id)) {
+      const at = reminderMarkMinute(mk);
+      if (at === null) continue;
+
+      const delayMs = at * 60 * 1000 - elapsedMs;
+      if (delayMs < 0 && !firstRun) continue;
+
+      reminderTimers.push(
+        setTimeout(() => {
+          sendRunReminder(g.id, mk).catch((e) => console.error("sendRunReminder error:", e?.response?.body || e));
+        }, Math.max(0, delayMs))
+      );
+
+      if (VERBOSE) console.log(`Reminder for ${g.id} scheduled at +${at}min${mk.escalate ? " (escalating)" : ""}`);
+    }
+  }
+}
+
+// ===================== Attendance (morning poll) =====================
+// `options` are stored with the day: answers arrive as indexes into the poll as it was sent.
+function recordMorningPoll(groupId, sent, options) {
+  const g = getGroup(groupId);
+  const { dateStr } = nowLocalParts(groupTz(g.id));
+  g.attendance[dateStr] = {
+    pollId: sent.poll.id,
+    chatId: String(sent.chat.id),
+    messageId: sent.message_id,
+    sentIso: new Date().toISOString(),
+    options,
+    answers: {},
+    summarySentIso: null,
+  };
+
+  const dates = Object.keys(g.attendance).sort();
+  if (ATTENDANCE_KEEP_DAYS > 0) {
+    for (const d of dates.slice(0, Math.max(0, dates.length - ATTENDANCE_KEEP_DAYS))) delete g.attendance[d];
+  }
+  saveData(DB);
+}
+
+function recordPollAnswer(answer) {
+  if (!answer.user) return false;
+
+  for (const g of listGroups()) {
+    const day = Object.values(g.attendance).find((d) => d.pollId === answer.poll_id);
+    if (!day) continue;
+
+    const idx = (answer.option_ids || [])[0];
+    day.answers[answer.user.id] = {
+      name: userDisplayName(answer.user),
+      option: idx === undefined ? null : (day.options || LOCALES.en.poll.options)[idx] || `option ${idx + 1}`,
+      atIso: new Date().toISOString(),
+    };
+    saveData(DB);
+    return true;
+  }
+  return false;
+}
+
+function formatAttendanceSummary(groupId, dateStr) {
+  const day = getGroup(groupId)?.attendance[dateStr];
+  if (!day) return `No morning poll recorded for ${escapeHtml(dateStr)}.`;
+
+  const byOption = {};
+  for (const a of Object.values(day.answers)) {
+    if (a.option) (byOption[a.option] = byOption[a.option] || []).push(a.name);
+  }
+
+  const pollOptions = day.options || LOCALES.en.poll.options;
+  const options = [...pollOptions, ...Object.keys(byOption).filter((o) => !pollOptions.includes(o))];
+  const lines = [];
+  let answered = 0;
+  for (const opt of options) {
+    const names = (byOption[opt] || []).sort((a, b) => a.localeCompare(b));
+    if (!names.length) continue;
+    answered += names.length;
+    lines.push(`<b>${escapeHtml(opt)}</b> (${names.length}): ${names.map(escapeHtml).join(", ")}`);
+  }
+
+  // Answers given between runs are dropped with the pending updates.
+  const gap = DROP_PENDING && day.sentIso < BOOT_ID;
+  return [
+    `📋 <b>Attendance</b> — ${escapeHtml(dateStr)}`,
+    ...(lines.length ? lines : ["No answers recorded yet."]),
+    `<i>${answered} answered (as seen by the bot while online).</i>`,
+    gap ? "<i>⚠️ The bot was offline after the poll was posted: answers from that time may be missing.</i>" : null,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+async function sendAttendanceSummary(groupId) {
+  const g = getGroup(groupId);
+  if (!g) return;
+  const tz = groupTz(g.id);
+  const { dateStr } = nowLocalParts(tz);
+  const day = g.attendance[dateStr];
+  if (!day || day.summarySentIso) return;
+  // Only a poll posted today: an older day is stale and not summarised late.
+  if (localParts(new Date(day.sentIso), tz).dateStr !== dateStr) return;
+
+  const text = formatAttendanceSummary(g.id, dateStr);
+  await bot.sendMessage(day.chatId, text, { parse_mode: "HTML", reply_to_message_id: day.messageId });
+  day.summarySentIso = new Date().toISOString();
+  saveData(DB);
+
+  // Straight into the duty user's DM: this is what "Update attendance list" needs.
+  const active = g.duty.active;
+  if (active) {
+    try {
+      await bot.sendMessage(active.userId, `${text}\n\nUse this for <i>Update attendance list</i>.`, { parse_mode: "HTML" });
+    } catch (e) {
+      if (VERBOSE) console.warn("attendance DM failed:", e?.response?.body || e);
+    }
+  }
+}
+
+/** Posts a group's summary for today at the cutoff (its local time), or right away if this run started after it. */
+function scheduleAttendanceSummary(groupId) {
+  if (!SEND_ATTENDANCE_SUMMARY) return;
+
+  const now = nowLocalParts(groupTz(groupId));
+  const delayMin =
+    ATTENDANCE_SUMMARY_SGT_HOUR * 60 + ATTENDANCE_SUMMARY_SGT_MINUTE - (now.hour * 60 + now.minute + now.second / 60);
+  if (DURATION_MINUTES > 0 && delayMin >= DURATION_MINUTES) return;
+
+  setTimeout(async () => {
+    try {
+      await sendAttendanceSummary(groupId);
+    } catch (e) {
+      console.error("attendance summary error:", e?.response?.body || e);
+    }
+  }, Math.max(0, delayMin) * 60 * 1000);
+
+  if (VERBOSE) console.log(`Attendance summary for ${groupId} scheduled at +${Math.max(0, Math.ceil(delayMin))}min`);
+}
+
+bot.on("poll_answer", (answer) => {
+  try {
+    if (recordPollAnswer(answer) && VERBOSE) {
+      console.log(`Poll answer: ${answer.user?.id} -> ${JSON.stringify(answer.option_ids)}`);
+    }
+  } catch (e) {
+    console.error("poll_answer error:", e);
+  }
+});
+
+// ===================== Scheduler (webhook mode) =====================
+// An always-on bot has no run to hang timers on, so a once-a-minute tick drives the clock-based jobs.
+// Each job remembers what it already did (per local day or per shift), so extra or missed ticks are harmless.
+
+async function sendMorningPollIfDue(g) {
+  const shouldSend = shouldSendMorningPollNow(g);
+  const alreadySent = alreadySentMorningPollToday(g);
+  const p = nowLocalParts(groupTz(g.id));
+  const at = `${groupTz(g.id)} ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+
+  if (shouldSend && !alreadySent) {
+    if (VERBOSE) console.log(`Morning poll sending to ${g.id} (${at})`);
+    await sendMorningPollToGroup(g.id);
+    markMorningPollSentToday(g);
+  } else if (VERBOSE && !WEBHOOK_MODE) {
+    console.log(`Morning poll NOT sent to ${g.id}. shouldSend=${shouldSend} alreadySentToday=${alreadySent} (${at})`);
+  }
+}
+
+/** Once a day at ROSTER_DAY_START_SGT (group time, not midnight as in polling mode) today's rostered user takes over. */
+async function startRosterDayIfDue(g) {
+  if (!ROSTER_AUTO_ASSIGN) return;
+  const now = nowLocalParts(groupTz(g.id));
+  if (now.hour * 60 + now.minute < rosterDayStartMin || g.roster.assignedDateSgt === now.dateStr) return;
+
+  g.roster.assignedDateSgt = now.dateStr;
+  saveData(DB);
+  await startRosterDay(g.id);
+}
+
+// Reminders that fall due while the bot is down are dropped rather than sent late in a burst.
+const REMINDER_LATE_LIMIT_MINUTES = 5;
+
+async function sendDueShiftReminders(g) {
+  const active = g.duty.active;
+  if (!active) return;
+
+  if (g.remindersSent?.shiftId !== active.shiftId) g.remindersSent = { shiftId: active.shiftId, marks: [] };
+  const sent = g.remindersSent.marks;
+  const elapsedMin = (Date.now() - new Date(active.sinceIso).getTime()) / 60000;
+
+  for (const mk of getReminderSchedule(g.id)) {
+    const at = reminderMarkMinute(mk, SHIFT_MINUTES);
+    const k = formatReminderMark(mk);
+    if (at === null || elapsedMin < at || sent.includes(k)) continue;
+
+    sent.push(k);
+    saveData(DB);
+    if (elapsedMin - at <= REMINDER_LATE_LIMIT_MINUTES) await sendRunReminder(g.id, mk);
+  }
+}
+
+async function announceDueHandoverTimeout(g) {
+  const h = g.duty.handover;
+  if (!h || h.timeoutSentIso) return;
+  if (Date.now() - Date.parse(h.requestedIso) >= HANDOVER_TIMEOUT_MINUTES * 60 * 1000) {
+    await announceHandoverTimeout(g.id, h.requestedIso);
+  }
+}
+
+async function sendAttendanceSummaryIfDue(g) {
+  if (!SEND_ATTENDANCE_SUMMARY) return;
+  const now = nowLocalParts(groupTz(g.id));
+  if (now.hour * 60 + now.minute >= ATTENDANCE_SUMMARY_SGT_HOUR * 60 + ATTENDANCE_SUMMARY_SGT_MINUTE) {
+    await sendAttendanceSummary(g.id);
+  }
+}
+
+const schedulerJobs = [
+  sendMorningPollIfDue,
+  startRosterDayIfDue,
+  sendDueShiftReminders,
+  announceDueHandoverTimeout,
+  (g) => pingDueRosterAck(g.id),
+  (g) => checkOverdueItems(g.id),
+  sendAttendanceSummaryIfDue,
+  archiveExpiredExtras,
+];
+
+let rosterDayStartMin = 6 * 60;
+let schedulerBusy = false;
+
+async function schedulerTick() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    for (const g of listGroups()) {
+      for (const job of schedulerJobs) {
+        try {
+          await job(g);
+        } catch (e) {
+          console.error(`scheduler job error (${g.id}):`, e?.response?.body || e);
+        }
+      }
+    }
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+function startScheduler() {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(ROSTER_DAY_START_SGT);
+  if (m) rosterDayStartMin = Number(m[1]) * 60 + Number(m[2]);
+  else console.warn(`⚠️ ROSTER_DAY_START_SGT "${ROSTER_DAY_START_SGT}" is not HH:MM; using 06:00.`);
+
+  schedulerTick();
+  // First tick lands just after the top of the next minute, then every minute.
+  setTimeout(() => {
+    schedulerTick();
+    setInterval(schedulerTick, 60 * 1000);
+  }, 60 * 1000 - (Date.now() % (60 * 1000)) + 1000);
+  console.log("⏲️ Scheduler started.");
+}
+
+// ===================== Webhook server =====================
+// Routes: POST <path of WEBHOOK_URL> (Telegram updates), GET /healthz (liveness), GET /readyz (webhook set).
+let webhookReady = false;
+
+function secretMatches(got, secret) {
+  const a = Buffer.from(String(got || ""));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req, limitBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limitBytes) {
+        reject(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function handleHttpRequest(req, res, hookPath) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && pathname === "/healthz") {
+    return sendJson(res, 200, { status: "ok", mode: BOT_MODE, uptimeSec: Math.round(process.uptime()) });
+  }
+  if (req.method === "GET" && pathname === "/readyz") {
+    return sendJson(res, webhookReady ? 200 : 503, { ready: webhookReady, groups: listGroups().length });
+  }
+  if (pathname !== hookPath) return sendJson(res, 404, { error: "not found" });
+  if (req.method !== "POST") return sendJson(res, 405, { error: "method not allowed" });
+  if (!secretMatches(req.headers["x-telegram-bot-api-secret-token"], WEBHOOK_SECRET)) {
+    return sendJson(res, 401, { error: "bad secret token" });
+  }
+
+  let update;
+  try {
+    update = JSON.parse(await readBody(req, 1024 * 1024));
+  } catch (e) {
+    return sendJson(res, 400, { error: e?.message || "bad request" });
+  }
+
+  // Acknowledge first: Telegram redelivers updates whose request fails or times out.
+  sendJson(res, 200, { ok: true });
+  try {
+    bot.processUpdate(update);
+  } catch (e) {
+    console.error("processUpdate error:", e);
+  }
+}
+
+function startWebhookServer() {
+  const hookPath = new URL(WEBHOOK_URL).pathname;
+  const server = http.createServer((req, res) => {
+    handleHttpRequest(req, res, hookPath).catch((e) => {
+      console.error("http error:", e);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(PORT, HOST, () => {
+      console.log(`🌐 Webhook server listening on ${HOST}:${PORT} (updates at ${hookPath}).`);
+      resolve(server);
+    });
+  });
+}
+
+// ===================== Admin dashboard =====================
+// Token-protected pages on DASHBOARD_HOST:DASHBOARD_PORT. Open /?token=<DASHBOARD_TOKEN> once (sets a cookie),
+// or send "Authorization: Bearer <token>". GET /api/status returns the same data as JSON.
+const DASHBOARD_COOKIE = "dashboard_token";
+
+function dashboardAuthorized(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((c) => c.trim().split("="))
+    .find(([k]) => k === DASHBOARD_COOKIE);
+  const got = bearer ? bearer[1].trim() : cookie ? decodeURIComponent(cookie[1] || "") : "";
+  return secretMatches(got, DASHBOARD_TOKEN);
+}
+
+// Names come from what the bot has already seen (shift records, roster); no Telegram calls per page view.
+function knownName(uid) {
+  const shift = [...DB.history].reverse().find((h) => h.userId === uid && h.userName);
+  if (shift) return shift.userName;
+  for (const g of listGroups()) {
+    const r = Object.values({ ...g.roster.weekly, ...g.roster.dates }).find((x) => x.userId === uid && x.name);
+    if (r) return r.name;
+  }
+  const username = Object.keys(DB.usernames).find((k) => DB.usernames[k] === uid);
+  return username ? `@${username}` : `id:${uid}`;
+}
+
+function dashboardStatus() {
+  return listGroups().map((g) => {
+    const active = g.duty.active;
+    return {
+      id: g.id,
+      title: g.title,
+      itemsFile: g.itemsFile || "base_items.json",
+      duty: active
+        ? {
+            userId: active.userId,
+            name: knownName(active.userId),
+            sinceIso: active.sinceIso,
+            ...checklistStats(active.userId),
+            items: checklistSnapshot(active.userId).map(({ key, text, section, required, done, overdue }) => ({
+              key,
+              text,
+              section,
+              required,
+              done,
+              overdue,
+            })),
+          }
+        : null,
+      handover: g.duty.handover,
+      sharedExtra: g.sharedExtra,
+      roles: Object.entries(g.roles).map(([uid, role]) => ({ userId: Number(uid), name: knownName(Number(uid)), role })),
+      history: groupShifts(g.id)
+        .slice(-10)
+        .reverse()
+        .map((h) => ({
+          id: h.id,
+          userName: h.userName,
+          startIso: h.startIso,
+          endIso: h.endIso,
+          endReason: h.endReason,
+          final: h.final && { doneCount: h.final.doneCount, total: h.final.total, complete: h.final.complete },
+        })),
+    };
+  });
+}
+
+function dashboardGroupHtml(g) {
+  const gid = encodeURIComponent(g.id);
+  const active = g.duty.active;
+  const file = g.itemsFile || "base_items.json";
+  const sharing = listGroups().filter((o) => (o.itemsFile || "base_items.json") === file && o.id !== g.id);
+
+  const duty = active
+    ? `<p><b>Duty:</b> ${escapeHtml(knownName(active.userId))} since ${formatLocal(active.sinceIso, groupTz(g.id))} ${escapeHtml(tzLabel(groupTz(g.id)))} — ` +
+      `${escapeHtml(formatStatusLine(active.userId))}</p><ul>` +
+      itemViews(active.userId)
+        .filter((it) => it.counts)
+        .map(
+          (it) =>
+            `<li>${it.done ? "✅" : "⬜️"} ${escapeHtml(it.text)}${it.required ? "" : " <i>(optional)</i>"}` +
+            `${it.overdue ? ' <b class="bad">overdue</b>' : ""}</li>`
+        )
+        .join("") +
+      "</ul>"
+    : "<p><b>Duty:</b> nobody</p>";
+
+  const handover = g.duty.handover
+    ? `<p>🔁 Handover to ${escapeHtml(g.duty.handover.toName)} pending since ${formatLocal(g.duty.handover.requestedIso, groupTz(g.id))}</p>`
+    : "";
+
+  const extras = g.sharedExtra.length
+    ? `<ul>${g.sharedExtra
+        .map(
+          (x) =>
+            `<li>${escapeHtml(x.text)}${formatExtraWindow(x, groupTz(g.id)) ? ` <small>(${escapeHtml(formatExtraWindow(x, groupTz(g.id)))})</small>` : ""} <form method="post" action="/groups/${gid}/extras/${encodeURIComponent(x.id)}/delete" class="inline">` +
+            `<button>Remove</button></form></li>`
+        )
+        .join("")}</ul>`
+    : "<p>None.</p>";
+
+  const roles = Object.entries(g.roles);
+  const history = groupShifts(g.id).slice(-10).reverse();
+
+  return `<section id="g${escapeHtml(g.id)}">
+<h2>${escapeHtml(groupLabel(g))} <small>${escapeHtml(g.id)}</small></h2>
+${duty}${handover}
+<h3>Shared extra tasks</h3>
+${extras}
+<form method="post" action="/groups/${gid}/extras"><input name="text" size="50" required> <button>Add</button></form>
+<h3>Roles</h3>
+<p>${
+  roles.length
+    ? roles.map(([uid, role]) => `${escapeHtml(knownName(Number(uid)))} (${uid}): ${role}`).join(", ")
+    : "None set."
+} <small>Everyone else: ${defaultRole}.</small></p>
+<h3>History</h3>
+${
+  history.length
+    ? `<ul>${history
+        .map((h) => `<li>${formatShiftSummary(h).replace(/^• /, "")} <a href="/report?shift=${encodeURIComponent(h.id)}">report</a></li>`)
+        .join("")}</ul>`
+    : "<p>No shifts yet.</p>"
+}
+<h3>Checklist items — ${escapeHtml(file)}</h3>
+${sharing.length ? `<p><i>Also used by: ${sharing.map((o) => escapeHtml(groupLabel(o))).join(", ")}</i></p>` : ""}
+<form method="post" action="/groups/${gid}/items">
+<textarea name="items" rows="16" cols="100">${escapeHtml(itemsFileText(g.itemsFile))}</textarea><br>
+<button>Save items</button> <small>Same format as base_items.json; applies immediately.</small>
+</form>
+</section>`;
+}
+
+function dashboardHtml(flash) {
+  const groups = listGroups();
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Checklist Bot — Dashboard</title>
+<style>
+body{font-family:sans-serif;margin:2em;max-width:70em}section{border-top:2px solid #ccc;margin-top:2em}
+small{color:#666}form.inline{display:inline}.bad{color:#c00}.flash{background:#ffc;padding:.5em;border:1px solid #cc9}
+textarea{font-family:monospace}
+</style></head><body>
+<h1>Checklist Bot <small>${escapeHtml(formatLocal(new Date().toISOString()))} ${escapeHtml(tzLabel())} · <a href="/">refresh</a></small></h1>
+${flash ? `<p class="flash">${escapeHtml(flash)}</p>` : ""}
+${groups.length ? groups.map(dashboardGroupHtml).join("\n") : "<p>No groups registered yet.</p>"}
+</body></html>
+`;
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(303, { Location: location, ...headers });
+  res.end();
+}
+
+async function handleDashboardRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const { pathname } = url;
+
+  // First visit with ?token=…: keep it in a cookie and drop it from the address bar.
+  const qsToken = url.searchParams.get("token");
+  if (req.method === "GET" && qsToken && secretMatches(qsToken, DASHBOARD_TOKEN)) {
+    return redirect(res, "/", {
+      "Set-Cookie": `${DASHBOARD_COOKIE}=${encodeURIComponent(qsToken)}; HttpOnly; SameSite=Strict; Path=/`,
+    });
+  }
+  if (!dashboardAuthorized(req)) {
+    res.writeHead(401, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Unauthorized. Open /?token=<DASHBOARD_TOKEN>.");
+    return;
+  }
+
+  if (req.method === "GET" && pathname === "/") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(dashboardHtml(url.searchParams.get("msg")));
+    return;
+  }
+  if (req.method === "GET" && pathname === "/api/status") return sendJson(res, 200, { groups: dashboardStatus() });
+  if (req.method === "GET" && pathname === "/report") {
+    const shift = getShift(url.searchParams.get("shift"));
+    if (!shift) return sendJson(res, 404, { error: "no such shift" });
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(buildShiftHtml(shift));
+    return;
+  }
+
+  const m = /^\/groups\/([^/]+)\/(extras|items)(?:\/([^/]+)\/delete)?$/.exec(pathname);
+  const g = m ? getGroup(decodeURIComponent(m[1])) : null;
+  if (req.method !== "POST" || !g) return sendJson(res, 404, { error: "not found" });
+
+  const form = new URLSearchParams(await readBody(req, 256 * 1024));
+  const back = (msg) => redirect(res, `/?msg=${encodeURIComponent(msg)}#g${encodeURIComponent(g.id)}`);
+
+  if (m[2] === "extras" && m[3]) {
+    const ok = removeSharedExtraTask(g.id, decodeURIComponent(m[3]), { by: { userId: null, name: "dashboard" } });
+    return back(ok ? "Extra task removed (restore it with /trash in the group)." : "That extra task was already gone.");
+  }
+  if (m[2] === "extras") {
+    const parsed = await buildExtraTask(form.get("text"), null, groupTz(g.id));
+    if (parsed.error) return back(`Task was not added: ${parsed.error}`);
+    const ok = addSharedExtraTask(g.id, parsed.text, { userId: null, name: "dashboard" }, parsed.schedule);
+    if (ok) await notifyAssignees(g, ok, null);
+    return back(ok ? "Extra task added." : "Task was not added. It may already exist or be invalid.");
+  }
+
+  try {
+    const items = saveItemsFile(g.itemsFile, form.get("items") || "");
+    console.log(`Dashboard: ${g.itemsFile || "base_items.json"} saved (${items.length} items).`);
+    return back(`Saved ${g.itemsFile || "base_items.json"}: ${items.length} items.`);
+  } catch (e) {
+    return back(`Items not saved: ${e.message}`);
+  }
+}
+
+function startDashboard() {
+  const server = http.createServer((req, res) => {
+    handleDashboardRequest(req, res).catch((e) => {
+      console.error("dashboard error:", e);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(DASHBOARD_PORT, DASHBOARD_HOST, () => {
+      console.log(`🖥️ Dashboard on http://${DASHBOARD_HOST}:${DASHBOARD_PORT}/`);
+      resolve(server);
+    });
+  });
+}
+
+// ===================== Commands =====================
+const cmdRe = (name, hasArg = false) =>
+  new RegExp(
+    `^\\/${name}(?:@\\w+)?${hasArg === "optional" ? "(?:\\s+(.+?))?\\s*$" : hasArg ? "\\s+(.+)" : "\\s*$"}`,
+    "i"
+  );
+
+/** The group a command applies to: the group chat itself if registered, or in DM the user's group. */
+function commandGroupId(msg) {
+  if (msg.chat.type === "private") return msg.from ? userGroupId(msg.from.id) : null;
+  return getGroup(msg.chat.id) ? String(msg.chat.id) : null;
+}
+
+bot.onText(cmdRe("help"), async (msg) => {
+  const isDm = msg.chat.type === "private";
+  const cid = msg.chat.id;
+  await bot.sendMessage(cid, helpText(isDm, commandGroupId(msg)), { parse_mode: "HTML" });
+});
+
+bot.onText(cmdRe("start"), async (msg) => {
+  const isPrivate = msg.chat.type === "private";
+  const uid = msg.from?.id;
+  if (!uid) return;
+
+  if (!isPrivate) {
+    await bot.sendMessage(
+      msg.chat.id,
+      "This bot runs checklist in DM only. Use the Start Duty button in the group message.\nSend /help for features."
+    );
+    return;
+  }
+
+  await bot.sendMessage(uid, "Welcome. Restoring your menu…");
+  await sendDmChecklist(uid);
+  await bot.sendMessage(uid, "Menu restored.\nSend /help to see all features.");
+});
+
+bot.onText(cmdRe("menu"), async (msg) => {
+  if (msg.chat.type !== "private") return;
+  const uid = msg.from?.id;
+  if (!uid) return;
+
+  await bot.sendMessage(uid, "Restoring menu…");
+  await sendDmChecklist(uid);
+  await bot.sendMessage(uid, "Menu restored.");
+});
+
+bot.onText(cmdRe("clear"), async (msg) => {
+  if (msg.chat.type !== "private") return;
+  const uid = msg.from?.id;
+  if (!uid) return;
+
+  resetChecksForUser(uid);
+  await sendDmChecklist(uid);
+});
+
+bot.onText(cmdRe("note", "optional"), async (msg, match) => {
+  if (msg.chat.type !== "private") return;
+  const uid = msg.from?.id;
+  if (!uid) return;
+  if (!userGroupId(uid)) {
+    await bot.sendMessage(uid, NO_GROUP_TEXT);
+    return;
+  }
+
+  await handleNoteInput(uid, match?.[1] || "");
+});
+
+/** Sets (role) or clears (null) a user's role in the chat's group, for /role, /allow and /deny. */
+async function setRoleCommand(msg, token, role) {
+  const cid = msg.chat.id;
+  const g = getGroup(cid);
+  const caller = msg.from?.id;
+  if (!g || !caller) return;
+
+  if (!(await hasPermission(g.id, caller, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change roles.");
+    return;
+  }
+  const target = await resolveMentionedUser(msg, token);
+  if (!target) {
+    await bot.sendMessage(
+      cid,
+      /^@\w+$/.test(token || "")
+        ? `I have not seen ${token} yet. Reply to one of their messages instead, or use their numeric id.`
+        : "Who? Reply to the user’s message, or name them (@username or numeric id)."
+    );
+    return;
+  }
+
+  // Nobody hands out, or takes away, more than they hold themselves (matters once manageGroup is below admin).
+  const rank = (r) => ROLES.indexOf(r);
+  const callerRole = await userRole(g.id, caller);
+  const targetRole = await userRole(g.id, target.userId);
+  if (rank(role || defaultRole) > rank(callerRole) || rank(targetRole) > rank(callerRole)) {
+    await bot.sendMessage(
+      cid,
+      `🚫 As ${callerRole} you cannot change the role of ${escapeHtml(target.name)} (${targetRole}) to ${role || defaultRole}.`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  if (role) g.roles[target.userId] = role;
+  else delete g.roles[target.userId];
+  saveData(DB);
+
+  await bot.sendMessage(
+    cid,
+    `✅ ${escapeHtml(target.name)} (${target.userId}): ${role ? `<b>${role}</b>` : `back to the default role (<b>${defaultRole}</b>)`}`,
+    { parse_mode: "HTML" }
+  );
+}
+
+function rolesText(g) {
+  const lines = Object.entries(g.roles)
+    .sort(([, a], [, b]) => ROLES.indexOf(b) - ROLES.indexOf(a))
+    .map(([uid, role]) => `• ${escapeHtml(knownName(Number(uid)))} (${uid}) — <b>${role}</b>`);
+  const perms = Object.keys(PERMISSIONS).map((p) => `${PERMISSION_TEXT[p]}: ${PERMISSIONS[p]}+`);
+  return [
+    "<b>Roles</b>",
+    ...(lines.length ? lines : ["No roles set."]),
+    `<i>Everyone else: ${defaultRole}. Group admins: admin.</i>`,
+    "",
+    `<b>Needed</b>\n${perms.map(escapeHtml).join("\n")}`,
+  ].join("\n");
+}
+
+// "/role" lists; "/role editor" (reply), "/role @name editor", "/role 12345 reset".
+bot.onText(cmdRe("role", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const args = (match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+
+  if (!args.length) {
+    await bot.sendMessage(msg.chat.id, rolesText(g), { parse_mode: "HTML" });
+    return;
+  }
+
+  const role = args[args.length - 1].toLowerCase();
+  if (!ROLES.includes(role) && !["reset", "default"].includes(role)) {
+    await bot.sendMessage(msg.chat.id, `Usage: /role [@user|id] <${ROLES.join("|")}|reset> — or reply to the user.`);
+    return;
+  }
+  await setRoleCommand(msg, args.length > 1 ? args[0] : "", ROLES.includes(role) ? role : null);
+});
+
+// Kept from the allowlist days: /allow = editor, /deny = back to the default role.
+bot.onText(cmdRe("allow", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  await setRoleCommand(msg, (match?.[1] || "").trim(), "editor");
+});
+
+bot.onText(cmdRe("deny", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  await setRoleCommand(msg, (match?.[1] || "").trim(), null);
+});
+
+bot.onText(cmdRe("whoallowed"), async (msg) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  await bot.sendMessage(msg.chat.id, rolesText(getGroup(msg.chat.id)), { parse_mode: "HTML" });
+});
+
+bot.onText(cmdRe("addtask", "optional"), async (msg, match) => {
+  const groupId = commandGroupId(msg);
+  const cid = msg.chat.id;
+  if (!groupId) {
+    if (msg.chat.type === "private") await bot.sendMessage(cid, NO_GROUP_TEXT);
+    return;
+  }
+  if (!match?.[1]?.trim()) {
+    await bot.sendMessage(cid, "Usage: /addtask text [| today | until fri | from YYYY-MM-DD until YYYY-MM-DD | daily | every mon,thu] [for @user|me|role|duty]");
+    return;
+  }
+  if (!(await hasPermission(groupId, msg.from?.id, "addExtra"))) {
+    await bot.sendMessage(cid, noPermissionText("addExtra"));
+    return;
+  }
+
+  const parsed = await buildExtraTask(match[1], msg, groupTz(groupId));
+  if (parsed.error) {
+    await bot.sendMessage(cid, `⚠️ ${parsed.error}`);
+    return;
+  }
+  const added = addSharedExtraTask(groupId, parsed.text, { userId: msg.from.id, name: userDisplayName(msg.from) }, parsed.schedule);
+  if (!added) {
+    await bot.sendMessage(cid, "Task was not added. It may already exist or be invalid.");
+    return;
+  }
+  await announceExtraChange(cid, groupId, "add", added);
+  await notifyAssignees(getGroup(groupId), added, msg.from.id);
+});
+
+bot.onText(cmdRe("trash"), async (msg) => {
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (msg.chat.type === "private") await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+  if (!(await hasPermission(groupId, msg.from?.id, "removeExtra"))) {
+    await bot.sendMessage(msg.chat.id, noPermissionText("removeExtra"));
+    return;
+  }
+
+  const view = trashMessage(getGroup(groupId));
+  await bot.sendMessage(msg.chat.id, view.text, { parse_mode: "HTML", reply_markup: view.reply_markup });
+});
+
+// Clears someone else's checks: the replied-to / named user, else the duty user.
+bot.onText(cmdRe("reset", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const caller = msg.from?.id;
+  if (!caller) return;
+
+  if (!(await hasPermission(g.id, caller, "resetChecks"))) {
+    await bot.sendMessage(g.id, noPermissionText("resetChecks"));
+    return;
+  }
+
+  const token = (match?.[1] || "").trim();
+  const active = g.duty.active;
+  const target =
+    (await resolveMentionedUser(msg, token)) ||
+    (!token && active ? { userId: active.userId, name: await safeGetChatMemberName(g.id, active.userId) } : null);
+  if (!target) {
+    await bot.sendMessage(g.id, "Whose checks? Reply to their message or name them; with no one on duty there is no default.");
+    return;
+  }
+  if (userGroupId(target.userId) !== g.id) {
+    await bot.sendMessage(g.id, `${target.name} is not working on this group’s checklist.`);
+    return;
+  }
+
+  resetChecksForUser(target.userId);
+  await bot.sendMessage(g.id, `🧹 Checks reset for ${target.name} by ${userDisplayName(msg.from)}.`);
+  try {
+    await bot.sendMessage(target.userId, `🧹 ${userDisplayName(msg.from)} reset your checks.`);
+    await sendDmChecklist(target.userId);
+  } catch {}
+});
+
+// "/items" lists the group's base items; "/items add [Section] text" and "/items remove <n>" edit its file.
+bot.onText(cmdRe("items", "optional"), async (msg, match) => {
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (msg.chat.type === "private") await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+  const g = getGroup(groupId);
+  const cid = msg.chat.id;
+  const file = g.itemsFile || "base_items.json";
+
+  const m = /^(add|remove)\s+([\s\S]+)$/i.exec((match?.[1] || "").trim());
+  if (!m) {
+    const lines = groupBaseItems(g).map(
+      (it, i) => `${i + 1}. ${escapeHtml(it.text)}${it.section ? ` <i>[${escapeHtml(it.section)}]</i>` : ""}`
+    );
+    const template = activeTemplate(g);
+    const note = template ? `\n<i>This duty uses the ${escapeHtml(template.title)} template (/template).</i>` : "";
+    await bot.sendMessage(
+      cid,
+      `<b>Checklist items</b> — ${escapeHtml(file)}\n${lines.join("\n")}\n\n<i>/items add [Section] text · /items remove n</i>${note}`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  if (msg.chat.type === "private") {
+    await bot.sendMessage(cid, "Edit the checklist with /items in the group chat.");
+    return;
+  }
+  if (!(await hasPermission(g.id, msg.from?.id, "editItems"))) {
+    await bot.sendMessage(cid, noPermissionText("editItems"));
+    return;
+  }
+
+  let note;
+  try {
+    if (m[1].toLowerCase() === "add") {
+      const sm = /^\[([^\]]+)\]\s*([\s\S]*)$/.exec(m[2].trim());
+      const section = sm ? sm[1].trim() : null;
+      const text = (sm ? sm[2] : m[2]).trim();
+      editItemsFile(g, (raw) => {
+        if (Array.isArray(raw)) {
+          raw.push(section ? { text, section } : text);
+          return;
+        }
+        const sec = section
+          ? raw.sections.find((x) => x.title.toLowerCase() === section.toLowerCase())
+          : raw.sections[raw.sections.length - 1];
+        if (sec) sec.items.push(text);
+        else raw.sections.push({ title: section, items: [text] });
+      });
+      note = `✅ Added to ${file}: ${text}`;
+    } else {
+      const n = parseInt(m[2], 10);
+      let removed = null;
+      editItemsFile(g, (raw) => {
+        const slot = rawItemSlots(raw)[n - 1];
+        if (!slot) throw new Error(`there is no item #${m[2].trim()}`);
+        removed = slot.list[slot.i];
+        slot.list.splice(slot.i, 1);
+      });
+      note = `✅ Removed from ${file}: ${typeof removed === "string" ? removed : removed.text}`;
+    }
+  } catch (e) {
+    await bot.sendMessage(cid, `⚠️ Not changed: ${e.message}`);
+    return;
+  }
+
+  const others = listGroups().filter((o) => o.id !== g.id && (o.itemsFile || "base_items.json") === file);
+  await bot.sendMessage(cid, others.length ? `${note}\n(also used by ${others.map(groupLabel).join(", ")})` : note);
+});
+
+bot.onText(cmdRe("history", "optional"), async (msg, match) => {
+  const isDm = msg.chat.type === "private";
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (isDm) await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+
+  const def = isDm ? 3 : 10;
+  const n = Math.min(Math.max(parseInt(match?.[1], 10) || def, 1), isDm ? 10 : 30);
+  await bot.sendMessage(msg.chat.id, historyText(groupId, isDm, n), { parse_mode: "HTML" });
+});
+
+bot.onText(cmdRe("stats", "optional"), async (msg, match) => {
+  const isDm = msg.chat.type === "private";
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (isDm) await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+
+  const words = (match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+  const chart = words.some((w) => /^chart$/i.test(w));
+  const period = parseStatsPeriod(words.filter((w) => !/^chart$/i.test(w)).join(" "));
+  if (!period) {
+    await bot.sendMessage(msg.chat.id, "Usage: /stats [7d|4w|3m|all] [chart] (default: last 30 days)");
+    return;
+  }
+
+  const stats = completionStats(groupId, period.days);
+  await bot.sendMessage(msg.chat.id, statsText(groupId, stats, { full: isDm, uid: msg.from?.id }), { parse_mode: "HTML" });
+  if (chart) {
+    try {
+      await sendStatsChart(msg.chat.id, groupId, stats);
+    } catch (e) {
+      console.error("stats chart error:", e?.response?.body || e);
+    }
+  }
+});
+
+bot.onText(cmdRe("report", "optional"), async (msg, match) => {
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (msg.chat.type === "private") await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+
+  // 1 = running shift (or the latest one), 2 = the one before, …
+  const n = Math.max(parseInt(match?.[1], 10) || 1, 1);
+  const shifts = groupShifts(groupId);
+  const shift = shifts[shifts.length - n];
+  if (!shift) {
+    await bot.sendMessage(
+      msg.chat.id,
+      shifts.length ? `Only ${shifts.length} shift(s) recorded.` : "No duty shifts recorded yet."
+    );
+    return;
+  }
+
+  await sendShiftReport(msg.chat.id, shift);
+});
+
+bot.onText(cmdRe("attendance", "optional"), async (msg, match) => {
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (msg.chat.type === "private") await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+
+  const arg = (match?.[1] || "").trim();
+  if (arg && !/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+    await bot.sendMessage(msg.chat.id, "Usage: /attendance [YYYY-MM-DD]");
+    return;
+  }
+  await bot.sendMessage(msg.chat.id, formatAttendanceSummary(groupId, arg || nowLocalParts(groupTz(groupId)).dateStr), {
+    parse_mode: "HTML",
+  });
+});
+
+bot.onText(cmdRe("reminders", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const cid = msg.chat.id;
+  const caller = msg.from?.id;
+  if (!caller) return;
+
+  const arg = (match?.[1] || "").trim();
+  if (!arg) {
+    const spec = getReminderSchedule(g.id).map(formatReminderMark).join(",");
+    await bot.sendMessage(
+      cid,
+      `<b>Run reminders</b>: <code>${escapeHtml(spec)}</code>${g.reminderSchedule ? "" : " (default)"}\n` +
+        escapeHtml(describeReminderSchedule(g.id)),
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  if (!(await hasPermission(g.id, caller, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change /reminders.");
+    return;
+  }
+
+  if (/^reset$/i.test(arg)) {
+    g.reminderSchedule = null;
+  } else {
+    try {
+      g.reminderSchedule = parseReminderSchedule(arg).map(formatReminderMark).join(",");
+    } catch (e) {
+      await bot.sendMessage(cid, `⚠️ ${e.message}`);
+      return;
+    }
+  }
+  saveData(DB);
+  if (runStartedAtMs !== null) scheduleRunReminders();
+
+  await bot.sendMessage(cid, `✅ Run reminders: ${escapeHtml(describeReminderSchedule(g.id))}`, { parse_mode: "HTML" });
+});
+
+bot.onText(cmdRe("register", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private") {
+    await bot.sendMessage(msg.chat.id, "Send /register in the group chat that should use this checklist.");
+    return;
+  }
+  const cid = msg.chat.id;
+  const caller = msg.from?.id;
+  if (!caller) return;
+
+  if (!(await isAdmin(cid, caller))) {
+    await bot.sendMessage(cid, "Only admins can use /register.");
+    return;
+  }
+
+  const file = (match?.[1] || "").trim();
+  if (file) {
+    try {
+      loadItemsFile(file); // a bad file is refused before anything is saved
+    } catch (e) {
+      await bot.sendMessage(cid, `⚠️ ${e.message}`);
+      return;
+    }
+  }
+
+  const isNew = !getGroup(cid);
+  const g = registerGroup(cid, { title: msg.chat.title, by: caller, itemsFile: file || (isNew ? null : undefined) });
+  migrateToGroups(g.id);
+
+  if (isNew && runStartedAtMs !== null) {
+    scheduleRunReminders();
+    scheduleDueTimeAlerts(g.id);
+  }
+
+  await bot.sendMessage(
+    cid,
+    [
+      isNew ? "✅ Group registered." : "✅ Registration updated.",
+      `Checklist: ${escapeHtml(g.itemsFile || "base_items.json")} (${groupBaseItems(g).length} items)`,
+      `Morning poll: ${g.poll.enabled ? "on" : "off"} — see /poll`,
+    ].join("\n"),
+    { parse_mode: "HTML" }
+  );
+  if (isNew) await sendStartDutyPromptToGroup(g.id);
+});
+
+bot.onText(cmdRe("poll", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const cid = msg.chat.id;
+  const caller = msg.from?.id;
+  if (!caller) return;
+
+  const describe = () => {
+    const at = morningPollTime(g);
+    const time = `${String(at.hour).padStart(2, "0")}:${String(at.minute).padStart(2, "0")} ${tzLabel(groupTz(g.id))}`;
+    return g.poll.enabled ? `on, ${time}` : "off";
+  };
+
+  const arg = (match?.[1] || "").trim();
+  if (!arg) {
+    await bot.sendMessage(cid, `Morning poll: ${describe()}`);
+    return;
+  }
+
+  if (!(await hasPermission(g.id, caller, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change /poll.");
+    return;
+  }
+
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(arg);
+  if (/^on$/i.test(arg)) {
+    g.poll.enabled = true;
+  } else if (/^off$/i.test(arg)) {
+    g.poll.enabled = false;
+  } else if (m) {
+    g.poll = { enabled: true, hour: Number(m[1]), minute: Number(m[2]) };
+  } else {
+    await bot.sendMessage(cid, "Usage: /poll [on|off|HH:MM]");
+    return;
+  }
+  saveData(DB);
+
+  await bot.sendMessage(cid, `✅ Morning poll: ${describe()}`);
+});
+
+bot.onText(cmdRe("template", "optional"), async (msg, match) => {
+  const groupId = commandGroupId(msg);
+  const g = getGroup(groupId);
+  const cid = msg.chat.id;
+  if (!g || !msg.from) {
+    if (msg.chat.type === "private") await bot.sendMessage(cid, NO_GROUP_TEXT);
+    return;
+  }
+  if (!listTemplates().size) {
+    await bot.sendMessage(cid, `No checklist templates (add templates/<name>.json next to base_items.json). This group uses ${g.itemsFile || "base_items.json"}.`);
+    return;
+  }
+
+  const arg = (match?.[1] || "").trim().toLowerCase();
+  if (!arg) {
+    await bot.sendMessage(cid, templatesText(g), { parse_mode: "HTML" });
+    return;
+  }
+
+  const name = arg === "default" ? null : arg === "auto" ? autoTemplate(g.id) : arg;
+  const r = await chooseTemplate(g, msg.from, name, arg !== "auto");
+  if (r.error) await bot.sendMessage(cid, r.error);
+  else if (r.unchanged) await bot.sendMessage(cid, `This duty already uses ${r.title}.`);
+  else if (msg.chat.type === "private") await bot.sendMessage(cid, `✅ Checklist: ${r.title}`);
+});
+
+bot.onText(cmdRe("timezone", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const cid = msg.chat.id;
+
+  const describe = () => {
+    const tz = groupTz(g.id);
+    const p = nowLocalParts(tz);
+    const now = `${p.dateStr} ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+    return `${tz} (${tzLabel(tz)}, now ${now})${g.timezone ? "" : " — bot default"}`;
+  };
+
+  const arg = (match?.[1] || "").trim();
+  if (!arg) {
+    await bot.sendMessage(cid, `Time zone: ${describe()}`);
+    return;
+  }
+  if (!(await hasPermission(g.id, msg.from?.id, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change the /timezone.");
+    return;
+  }
+
+  if (/^(reset|default)$/i.test(arg)) {
+    g.timezone = null;
+  } else if (isValidTimezone(arg)) {
+    g.timezone = new Intl.DateTimeFormat("en-US", { timeZone: arg }).resolvedOptions().timeZone;
+  } else {
+    await bot.sendMessage(cid, "Usage: /timezone <Area/City> (IANA name, e.g. Asia/Singapore, Europe/London) or /timezone reset");
+    return;
+  }
+  saveData(DB);
+
+  await bot.sendMessage(cid, `✅ Time zone: ${describe()}\nPoll, reminders, due times and reports now use it.`);
+});
+
+bot.onText(cmdRe("language", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private" || !commandGroupId(msg)) return;
+  const g = getGroup(msg.chat.id);
+  const cid = msg.chat.id;
+
+  const describe = () =>
+    `${g.locale || LOCALE} (${localeFor(g.id).name})${g.locale ? "" : " — bot default"}. ` +
+    `Available: ${Object.entries(LOCALES).map(([code, L]) => `${code} (${L.name})`).join(", ")}`;
+
+  const arg = (match?.[1] || "").trim().toLowerCase();
+  if (!arg) {
+    await bot.sendMessage(cid, `Language: ${describe()}`);
+    return;
+  }
+  if (!(await hasPermission(g.id, msg.from?.id, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change the /language.");
+    return;
+  }
+
+  if (arg === "reset" || arg === "default") {
+    g.locale = null;
+  } else if (LOCALES[arg]) {
+    g.locale = arg;
+  } else {
+    await bot.sendMessage(cid, `Usage: /language <${Object.keys(LOCALES).join("|")}|reset>`);
+    return;
+  }
+  saveData(DB);
+
+  await bot.sendMessage(cid, `✅ Language: ${describe()}`);
+});
+
+// Free-form so that CSV rows can follow "/roster import" on the next lines.
+bot.onText(/^\/roster(?:@\w+)?(?:\s+([\s\S]+))?$/i, async (msg, match) => {
+  const isDm = msg.chat.type === "private";
+  const groupId = commandGroupId(msg);
+  if (!groupId) {
+    if (isDm) await bot.sendMessage(msg.chat.id, NO_GROUP_TEXT);
+    return;
+  }
+  const g = getGroup(groupId);
+  const cid = msg.chat.id;
+  const caller = msg.from?.id;
+  if (!caller) return;
+
+  const [firstLine, ...rest] = (match?.[1] || "").trim().split(/\r?\n/);
+  const [sub, ...args] = firstLine.trim().split(/\s+/).filter(Boolean);
+  if (!sub) {
+    await bot.sendMessage(cid, rosterText(g), { parse_mode: "HTML" });
+    return;
+  }
+
+  if (isDm) {
+    await bot.sendMessage(cid, "Change the roster with /roster in the group chat.");
+    return;
+  }
+  if (!(await hasPermission(g.id, caller, "manageGroup"))) {
+    await bot.sendMessage(cid, "Only admins can change the /roster.");
+    return;
+  }
+
+  const action = sub.toLowerCase();
+  if (action === "set" || action === "unset") {
+    const when = parseRosterWhen(args[0], groupTz(g.id));
+    if (!when) {
+      await bot.sendMessage(cid, `Usage: /roster ${action} <weekday|YYYY-MM-DD>${action === "set" ? " [me|user id] (or reply to the user)" : ""}`);
+      return;
+    }
+
+    let entry = null;
+    if (action === "set") {
+      entry = await resolveMentionedUser(msg, args[1]);
+      if (!entry) {
+        await bot.sendMessage(cid, "Who? Add “me” or a numeric user id, or reply to that user’s message.");
+        return;
+      }
+    }
+
+    setRosterSlot(g, when, entry);
+    saveData(DB);
+    await bot.sendMessage(
+      cid,
+      entry
+        ? `✅ ${escapeHtml(formatRosterWhen(when))}: ${escapeHtml(rosterName(entry))}`
+        : `✅ ${escapeHtml(formatRosterWhen(when))}: removed from the roster`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  if (action === "clear") {
+    g.roster = { weekly: {}, dates: {}, ack: null, assignedDateSgt: g.roster.assignedDateSgt, swaps: [] };
+    saveData(DB);
+    await bot.sendMessage(cid, "✅ Roster cleared.");
+    return;
+  }
+
+  if (action === "import") {
+    let csv = rest.join("\n");
+    const doc = msg.reply_to_message?.document;
+    if (!csv.trim() && doc) {
+      if (doc.file_size > 100 * 1024) {
+        await bot.sendMessage(cid, "⚠️ That file is too large for a roster (100 KB max).");
+        return;
+      }
+      try {
+        csv = await downloadTextFile(doc.file_id);
+      } catch (e) {
+        console.error("roster download error:", e?.response?.body || e);
+        await bot.sendMessage(cid, "⚠️ Could not download that file.");
+        return;
+      }
+    }
+
+    const { rows, errors } = parseRosterCsv(csv, groupTz(g.id));
+    if (errors.length || !rows.length) {
+      await bot.sendMessage(
+        cid,
+        errors.length
+          ? `⚠️ Roster not imported:\n${errors.slice(0, 5).join("\n")}${errors.length > 5 ? `\n… and ${errors.length - 5} more` : ""}`
+          : "Send CSV rows (when,user_id,name) on the lines below /roster import, or reply to a .csv file with /roster import."
+      );
+      return;
+    }
+
+    for (const { when, entry } of rows) setRosterSlot(g, when, entry);
+    saveData(DB);
+    await bot.sendMessage(cid, `✅ Imported ${rows.length} roster row(s).\n\n${rosterText(g)}`, { parse_mode: "HTML" });
+    return;
+  }
+
+  await bot.sendMessage(cid, "Usage: /roster [set|unset <weekday|YYYY-MM-DD> …|import|clear]");
+});
+
+bot.onText(cmdRe("swap", "optional"), async (msg, match) => {
+  if (msg.chat.type === "private") {
+    await bot.sendMessage(msg.chat.id, "Send /swap in the group chat so the other person and an admin can respond.");
+    return;
+  }
+  if (!commandGroupId(msg) || !msg.from) return;
+
+  await requestSwap(msg, (match?.[1] || "").trim().split(/\s+/).filter(Boolean));
+});
+
+// ===================== Checklist templates =====================
+const templateTitle = (t) => (t ? t.title : "Default");
+
+function templateKeyboard(g) {
+  const current = g.template || "-";
+  const options = [...listTemplates().values()].map((t) => ({ name: t.name, title: t.title }));
+  options.push({ name: "-", title: templateTitle(null) });
+  const rows = [];
+  for (let i = 0; i < options.length; i += 2) {
+    rows.push(
+      options.slice(i, i + 2).map((o) => ({
+        text: `${o.name === current ? "✅" : "📋"} ${truncate(o.title, 24)}`,
+        callback_data: `tpl:${g.id}:${o.name}`,
+      }))
+    );
+  }
+  return { inline_keyboard: rows };
+}
+
+/** After Start Duty (and handover / roster): lets the duty user switch checklists when templates exist. */
+async function sendTemplatePicker(uid, groupId) {
+  const g = getGroup(groupId);
+  if (!g || !listTemplates().size) return;
+  const auto = autoTemplate(g.id) === g.template ? " (picked for this time)" : "";
+  await bot.sendMessage(uid, `📋 Checklist: <b>${escapeHtml(templateTitle(activeTemplate(g)))}</b>${auto}. Switch:`, {
+    parse_mode: "HTML",
+    reply_markup: templateKeyboard(g),
+  });
+}
+
+/** The duty user or a settings admin picks the duty's template; null = the group's own list. `manual` as in setGroupTemplate(). */
+async function chooseTemplate(g, from, name, manual = true) {
+  const active = g.duty.active;
+  if (active?.userId !== from.id && !(await hasPermission(g.id, from.id, "manageGroup"))) {
+    return { error: "Only the duty user or an admin can switch the checklist template." };
+  }
+  if (name !== null && !listTemplates().has(name)) return { error: `There is no template "${name}" (see /template).` };
+  if ((g.template || null) === name) {
+    if (!manual && g.templatePick) setGroupTemplate(g, name);
+    return { title: templateTitle(activeTemplate(g)), unchanged: true };
+  }
+
+  setGroupTemplate(g, name, manual);
+  const title = templateTitle(activeTemplate(g));
+  try {
+    await bot.sendMessage(g.id, `📋 Duty checklist switched to ${title} by ${userDisplayName(from)}.`);
+  } catch {}
+  if (active) {
+    try {
+      await sendDmChecklist(active.userId);
+    } catch (e) {
+      console.error("template switch DM error:", e?.response?.body || e);
+    }
+  }
+  return { title };
+}
+
+async function onTemplateCallback(q, arg) {
+  const [groupId, name] = arg.split(":");
+  const g = getGroup(groupId);
+  if (!g) return { text: "This group is no longer registered.", alert: true };
+
+  const r = await chooseTemplate(g, q.from, name === "-" ? null : name);
+  if (r.error) return { text: r.error, alert: true };
+  try {
+    await bot.editMessageReplyMarkup(templateKeyboard(g), { chat_id: q.message.chat.id, message_id: q.message.message_id });
+  } catch {}
+  return { text: r.unchanged ? `Already on ${r.title}.` : `📋 ${r.title}` };
+}
+
+function templatesText(g) {
+  const lines = ["<b>Checklist templates</b>"];
+  const current = activeTemplate(g);
+  const auto = autoTemplate(g.id);
+  for (const t of listTemplates().values()) {
+    const rules = t.auto.length ? ` <i>(auto: ${escapeHtml(t.auto.map(describeAutoRule).join("; "))})</i>` : "";
+    lines.push(`${t === current ? "▶️" : "•"} <code>${t.name}</code> — ${escapeHtml(t.title)} (${t.items.length} items)${rules}`);
+  }
+  const file = g.itemsFile || "base_items.json";
+  lines.push(`${current ? "•" : "▶️"} <code>default</code> — ${escapeHtml(file)} (${groupBaseItems(g).length} items)`);
+  lines.push("", `Picked at Start Duty now: <code>${auto || "default"}</code>`);
+  lines.push("/template &lt;name|default|auto&gt; — switch this duty's checklist");
+  return lines.join("\n");
+}
+
+// ===================== Callback queries =====================
+async function onStartDutyCallback(q) {
+  const fromId = q.from.id;
+  const g = q.message ? getGroup(q.message.chat.id) : null;
+  if (!g) return { text: "This group is not registered. An admin can send /register.", alert: true };
+  const groupId = g.id;
+  if (q.message.chat.title && q.message.chat.title !== g.title) registerGroup(groupId, { title: q.message.chat.title });
+  if (!(await hasPermission(groupId, fromId, "takeDuty"))) return { text: noPermissionText("takeDuty"), alert: true };
+
+  const active = getActiveDuty(groupId);
+  if (active && active.userId !== fromId) {
+    await requestHandover(q.from, groupId);
+    return;
+  }
+
+  await beginDuty(fromId, groupId, userDisplayName(q.from));
+}
+
+// The DM buttons carry the group id; older ones without it fall back to the user's duty group.
+async function onHandoverReplyCallback(q, confirm, arg) {
+  const groupId = arg || dutyGroupOf(q.from.id)?.id;
+  const h = getPendingHandover(groupId);
+  if (!h || h.fromUserId !== q.from.id) return { text: "There is no pending handover for you." };
+
+  if (confirm) await completeHandover(groupId, null);
+  else await declineHandover(groupId);
+}
+
+async function onHandoverOverrideCallback(q) {
+  const groupId = q.message ? String(q.message.chat.id) : null;
+  const h = getPendingHandover(groupId);
+  if (!h) return { text: "There is no pending handover.", alert: true };
+  if (!(await hasPermission(h.groupChatId, q.from.id, "forceHandover"))) {
+    return { text: noPermissionText("forceHandover"), alert: true };
+  }
+
+  const left = handoverMinutesLeft(h);
+  if (left > 0) {
+    return { text: `Give the outgoing duty user time to confirm. Override available in ${left} min.`, alert: true };
+  }
+
+  await completeHandover(groupId, userDisplayName(q.from));
+}
+
+// Inline checklist buttons only make sense in the user's own DM.
+function inlineChecklistUser(q) {
+  if (q.message?.chat?.type !== "private") return null;
+
+  const st = getUserState(q.from.id);
+  if (q.message.message_id !== st.inlineMsgId) {
+    st.inlineMsgId = q.message.message_id; // tapped an older copy: keep editing that one
+    saveData(DB);
+  }
+  return q.from.id;
+}
+
+// The inline handlers answer the tap before editing the checklist, so the button does not spin meanwhile.
+async function onItemCallback(q, key, answer) {
+  const uid = inlineChecklistUser(q);
+  if (!uid) return;
+
+  const st = getUserState(uid);
+  const item = userItems(uid).find((it) => it.key === key);
+  if (!item) {
+    await answer({ text: "That item is no longer on the checklist." });
+    await sendDmChecklist(uid, { fresh: false });
+    return;
+  }
+
+  if (item.kind === "extra" && st.removeMode) {
+    if (!(await userCan(uid, "removeExtra"))) return { text: noPermissionText("removeExtra"), alert: true };
+    const removed = removeSharedExtraTask(userGroupId(uid), item.id, { by: { userId: uid, name: userDisplayName(q.from) } });
+    await sendDmChecklist(uid, { fresh: false });
+    if (removed) await announceExtraChange(uid, userGroupId(uid), "rm", removed);
+    return;
+  } else if (item.evidence && !itemState(st, item).done) {
+    await answer({ text: "📷 Send a photo as evidence." });
+    await promptForEvidence(uid, item);
+    return;
+  } else {
+    toggleItem(uid, item);
+  }
+
+  await answer();
+  await sendDmChecklist(uid, { fresh: false });
+}
+
+async function onPageCallback(q, arg, answer) {
+  const uid = inlineChecklistUser(q);
+  if (!uid) return;
+
+  const st = getUserState(uid);
+  st.inlinePage = parseInt(arg, 10) || 0;
+  saveData(DB);
+  await answer();
+  await sendInlineChecklist(uid, { markupOnly: true });
+}
+
+async function onSectionCallback(q, arg, answer) {
+  const uid = inlineChecklistUser(q);
+  if (!uid) return;
+
+  await answer();
+  const title = [...new Set(userItems(uid).map((it) => it.section).filter(Boolean))][parseInt(arg, 10)];
+  if (title) await bot.sendMessage(uid, formatSectionInstructions(uid, title), { parse_mode: "HTML" });
+}
+
+async function onControlCallback(q, action, answer) {
+  const uid = inlineChecklistUser(q);
+  if (!uid) return;
+
+  const st = getUserState(uid);
+
+  if (action === "view") {
+    st.compact = !st.compact;
+    saveData(DB);
+  } else if (action === "clear") {
+    resetChecksForUser(uid);
+  } else if (action === "remove") {
+    if (!st.removeMode && !(await userCan(uid, "removeExtra"))) {
+      return { text: noPermissionText("removeExtra"), alert: true };
+    }
+    st.removeMode = !st.removeMode;
+    saveData(DB);
+    await answer({ text: st.removeMode ? "Remove mode ON: tap a GLOBAL EXTRA item (🗑) to delete it for everyone." : "Remove mode OFF." });
+    await sendDmChecklist(uid, { fresh: false });
+    return;
+  } else if (action === "add") {
+    if (!(await userCan(uid, "addExtra"))) {
+      return { text: noPermissionText("addExtra"), alert: true };
+    }
+    await answer();
+    await bot.sendMessage(uid, ADD_EXTRA_PROMPT, { parse_mode: "HTML", reply_markup: { force_reply: true } });
+    return;
+  } else if (action === "note") {
+    await sendNotePrompt(uid);
+    return;
+  } else if (action === "reply") {
+    st.inlineMode = false;
+    saveData(DB);
+    await answer();
+    try {
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: uid, message_id: q.message.message_id });
+    } catch {}
+    await bot.sendMessage(uid, "Switched to the reply keyboard.");
+    await sendDmChecklist(uid);
+    return;
+  }
+
+  await answer();
+  await sendDmChecklist(uid, { fresh: false });
 }
 
-// ===================== Reminders =====================
-async function sendRunReminder(minMark) {
-  const active = getActiveDuty();
-  if (!active || !active.userId) {
-    if (GROUP_CHAT_ID) {
+const ADD_EXTRA_PROMPT =
+  "Send the GLOBAL extra task text:\n<i>Optional schedule after a |, e.g. “… | today”, “… | until fri”, “… | daily”, “… | every mon,thu”, “… | for @user”.</i>";
+const NOTE_PROMPT =
+  "📝 Send the item number and your note, e.g. <code>4 one key signed out</code>.\n<i>Just the number (or “4 -”) deletes the note on item 4.</i>";
+
+// ===================== Undo / trash =====================
+// Adding or removing a global extra is confirmed to whoever did it with an ↩️ Undo button that works for
+// UNDO_GRACE_MINUTES. After that, removed extras can still be restored from /trash for TRASH_KEEP_DAYS.
+async function announceExtraChange(chatId, groupId, kind, extra) {
+  const what = kind === "add" ? "➕ Added" : "🗑 Removed";
+  const window = kind === "add" ? formatExtraWindow(extra, groupTz(groupId)) : null;
+  try {
+    const whom = extra.assignee ? "" : " for everyone";
+    const sent = await bot.sendMessage(chatId, `${what}${whom}: “${extra.text}”${window ? ` (${window})` : ""}.`, {
+      reply_markup: { inline_keyboard: [[{ text: `↩️ Undo (${UNDO_GRACE_MINUTES} min)`, callback_data: `undo:${kind}:${groupId}:${extra.id}` }]] },
+    });
+    setTimeout(async () => {
       try {
-        await bot.sendMessage(GROUP_CHAT_ID, `⏱️ ${minMark} min — Reminder: no duty user is active.`);
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: sent.message_id });
       } catch {}
-    }
-    return;
+    }, UNDO_GRACE_MINUTES * 60 * 1000);
+  } catch (e) {
+    console.error("announceExtraChange error:", e?.response?.body || e);
   }
+}
 
-  const dutyUid = active.userId;
+async function onUndoCallback(q, arg) {
+  const [kind, groupId, extraId] = arg.split(":");
+  const g = getGroup(groupId);
+  if (!g) return { text: "That group is no longer registered.", alert: true };
 
-  if (GROUP_CHAT_ID && String(active.groupChatId) === String(GROUP_CHAT_ID)) {
-    try {
-      const name = await safeGetChatMemberName(GROUP_CHAT_ID, dutyUid);
-      await bot.sendMessage(GROUP_CHAT_ID, `⏱️ ${minMark} min — Duty: ${name} — ${formatStatusLine(dutyUid)}`);
-    } catch (e) {
-      console.error("group reminder error:", e?.response?.body || e);
-    }
-  }
+  const perm = kind === "add" ? "addExtra" : "removeExtra";
+  if (!(await hasPermission(g.id, q.from.id, perm))) return { text: noPermissionText(perm), alert: true };
 
+  const since = kind === "add" ? g.sharedExtra.find((x) => x.id === extraId)?.addedIso : g.trash.find((t) => t.id === extraId)?.deletedIso;
   try {
-    await bot.sendMessage(dutyUid, `⏱️ ${minMark} min reminder — your status: ${formatStatusLine(dutyUid)}`);
-    await sendDmChecklist(dutyUid);
-  } catch (e) {
-    if (VERBOSE) console.warn("dm reminder failed:", e?.response?.body || e);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: q.message.chat.id, message_id: q.message.message_id });
+  } catch {}
+
+  if (!since) return { text: "Nothing to undo: that task has changed since." };
+  if (Date.now() - Date.parse(since) > UNDO_GRACE_MINUTES * 60 * 1000) {
+    return { text: kind === "add" ? "Too late to undo. Use 🗑 Remove mode instead." : "Too late to undo. Restore it from /trash.", alert: true };
   }
-}
 
-function scheduleRunReminders() {
-  const marks = [0, 2, 4];
-  for (const m of marks) {
-    if (DURATION_MINUTES > 0 && m >= DURATION_MINUTES) continue;
+  if (kind === "add") {
+    // Others may have ticked it already: trash it like any removal, so nothing is lost for good.
+    removeSharedExtraTask(g.id, extraId, { by: { userId: q.from.id, name: userDisplayName(q.from) } });
+  } else {
+    const r = restoreSharedExtraTask(g.id, extraId);
+    if (r.error) return { text: r.error, alert: true };
+  }
 
-    setTimeout(() => {
-      sendRunReminder(m).catch((e) => console.error("sendRunReminder error:", e?.response?.body || e));
-    }, m * 60 * 1000);
+  if (userGroupId(q.from.id) === g.id) await sendDmChecklist(q.from.id);
+  return { text: kind === "add" ? "↩️ Undone: task removed." : "↩️ Undone: task restored." };
+}
+
+function trashMessage(g) {
+  pruneTrash(g);
+  if (!g.trash.length) return { text: `🗑 The trash is empty. Removed extra tasks stay here for ${TRASH_KEEP_DAYS} days.` };
 
-    if (VERBOSE) console.log(`Reminder scheduled at +${m}min`);
+  // At most 20 entries (one button each), fewer if their text would take the message past Telegram's 4096.
+  const head = `🗑 <b>Removed extra tasks</b> (kept ${TRASH_KEEP_DAYS} days)`;
+  const foot = "Tap to restore, with everyone’s ticks.";
+  const lines = [];
+  let length = head.length + foot.length + 100;
+  for (const [i, t] of g.trash.slice(0, 20).entries()) {
+    const ticked = Object.keys(t.done).length;
+    const line = `${i + 1}. ${escapeHtml(truncate(t.text, 200))} — <i>${formatLocal(t.deletedIso, groupTz(g.id))}${t.deletedBy ? `, ${escapeHtml(truncate(t.deletedBy.name, 40))}` : ""}${ticked ? `, ticked by ${ticked}` : ""}</i>`;
+    if (length + line.length + 1 > 4096) break;
+    lines.push(line);
+    length += line.length + 1;
   }
+  const shown = g.trash.slice(0, lines.length);
+  if (g.trash.length > shown.length) lines.push(`<i>…and ${g.trash.length - shown.length} more.</i>`);
+  return {
+    text: `${head}\n${lines.join("\n")}\n\n${foot}`,
+    reply_markup: {
+      inline_keyboard: shown.map((t, i) => [
+        { text: `♻️ ${i + 1}. ${truncate(t.text, 30)}`, callback_data: `trash:${g.id}:${t.id}` },
+      ]),
+    },
+  };
 }
 
-// ===================== Commands =====================
-const cmdRe = (name, hasArg = false) =>
-  new RegExp(`^\\/${name}(?:@\\w+)?${hasArg ? "\\s+(.+)" : "\\s*$"}`, "i");
-
-bot.onText(cmdRe("help"), async (msg) => {
-  const isDm = msg.chat.type === "private";
-  const cid = msg.chat.id;
-  await bot.sendMessage(cid, helpText(isDm), { parse_mode: "HTML" });
-});
+async function onTrashCallback(q, arg) {
+  const sep = arg.lastIndexOf(":");
+  const g = getGroup(arg.slice(0, sep));
+  if (!g) return { text: "That group is no longer registered.", alert: true };
+  if (!(await hasPermission(g.id, q.from.id, "removeExtra"))) return { text: noPermissionText("removeExtra"), alert: true };
 
-bot.onText(cmdRe("start"), async (msg) => {
-  const isPrivate = msg.chat.type === "private";
-  const uid = msg.from?.id;
-  if (!uid) return;
+  const r = restoreSharedExtraTask(g.id, arg.slice(sep + 1));
+  const view = trashMessage(g);
+  try {
+    await bot.editMessageText(view.text, {
+      chat_id: q.message.chat.id,
+      message_id: q.message.message_id,
+      parse_mode: "HTML",
+      reply_markup: view.reply_markup || { inline_keyboard: [] },
+    });
+  } catch {}
+  if (r.error) return { text: r.error, alert: true };
 
-  if (!isPrivate) {
-    await bot.sendMessage(
-      msg.chat.id,
-      "This bot runs checklist in DM only. Use the Start Duty button in the group message.\nSend /help for features."
-    );
-    return;
+  if (q.message.chat.type !== "private") {
+    await bot.sendMessage(g.id, `♻️ ${userDisplayName(q.from)} restored “${r.extra.text}”.`);
   }
+  return { text: `♻️ Restored: ${truncate(r.extra.text, 60)}` };
+}
 
-  await bot.sendMessage(uid, "Welcome. Restoring your menu…");
-  await sendDmChecklist(uid);
-  await bot.sendMessage(uid, "Menu restored.\nSend /help to see all features.");
-});
+/**
+ * callback_data is "<route>" or "<route>:<arg>". A handler may return { text, alert } to answer the
+ * query with a toast (or an alert); otherwise the query is answered silently once it finishes.
+ * Slow handlers call answer({ text, alert }) (third argument) earlier instead; later answers are ignored.
+ */
+const callbackRoutes = {
+  start_duty: onStartDutyCallback,
+  hoto_confirm: (q, arg) => onHandoverReplyCallback(q, true, arg),
+  hoto_decline: (q, arg) => onHandoverReplyCallback(q, false, arg),
+  hoto_override: onHandoverOverrideCallback,
+  roster_ack: onRosterAckCallback,
+  swap: onSwapCallback,
+  t: onItemCallback,
+  pg: onPageCallback,
+  sec: onSectionCallback,
+  ck: onControlCallback,
+  undo: onUndoCallback,
+  trash: onTrashCallback,
+  tpl: onTemplateCallback,
+};
 
-bot.onText(cmdRe("menu"), async (msg) => {
-  if (msg.chat.type !== "private") return;
-  const uid = msg.from?.id;
-  if (!uid) return;
+bot.on("callback_query", async (q) => {
+  const data = String(q.data || "");
+  const sep = data.indexOf(":");
+  const route = sep === -1 ? data : data.slice(0, sep);
+  const arg = sep === -1 ? "" : data.slice(sep + 1);
+
+  const handler = q.from?.id && Object.hasOwn(callbackRoutes, route) ? callbackRoutes[route] : null;
+  rememberUser(q.from);
+
+  let answered = false;
+  const answer = async (a = null) => {
+    if (answered) return;
+    answered = true;
+    try {
+      await bot.answerCallbackQuery(q.id, a ? { text: a.text, show_alert: !!a.alert } : undefined);
+    } catch {}
+  };
 
-  await bot.sendMessage(uid, "Restoring menu…");
-  await sendDmChecklist(uid);
-  await bot.sendMessage(uid, "Menu restored.");
+  let result = null;
+  try {
+    if (handler) result = await handler(q, arg, answer);
+  } catch (e) {
+    console.error(`callback "${route}" error:`, e?.response?.body || e);
+  } finally {
+    await answer(result);
+  }
 });
 
-bot.onText(cmdRe("clear"), async (msg) => {
-  if (msg.chat.type !== "private") return;
-  const uid = msg.from?.id;
-  if (!uid) return;
+// ===================== DM message handler =====================
+async function sendNotePrompt(uid) {
+  const sent = await bot.sendMessage(uid, NOTE_PROMPT, { parse_mode: "HTML", reply_markup: { force_reply: true } });
+  getUserState(uid).notePromptMsgId = sent.message_id;
+  saveData(DB);
+}
 
-  resetChecksForUser(uid);
-  await sendDmChecklist(uid);
-});
+/** "prompt" when msg replies to this user's note prompt, "checklist" for their current checklist message. */
+function noteReplyTarget(msg, st) {
+  const id = msg.reply_to_message?.message_id;
+  if (!id) return null;
+  if (id === st.notePromptMsgId) return "prompt";
+  return [st.checklistMsgId, st.inlineMsgId].includes(id) ? "checklist" : null;
+}
 
-bot.onText(cmdRe("allow"), async (msg) => {
-  if (!GROUP_CHAT_ID || String(msg.chat.id) !== String(GROUP_CHAT_ID)) return;
-  const cid = msg.chat.id;
-  const caller = msg.from?.id;
-  if (!caller) return;
+// A reply to the checklist is only a note in the "#4 bin full" form, so a stray "4" there never deletes one.
+const CHECKLIST_NOTE_RE = /^\s*#\d+[:.)]?\s+\S/;
 
-  if (!(await isAdmin(cid, caller))) {
-    await bot.sendMessage(cid, "Only admins can use /allow.");
+/** "4 one key signed out" / "#4 …" from the note prompt or /note. "4" or "4 -" deletes. */
+async function handleNoteInput(uid, input) {
+  const m = /^#?(\d+)(?:[:.)]?\s+([\s\S]*))?$/.exec(String(input || "").trim());
+  if (!m) {
+    await sendNotePrompt(uid);
     return;
   }
-  if (!msg.reply_to_message || !msg.reply_to_message.from) {
-    await bot.sendMessage(cid, "Reply to the user’s message with /allow.");
+
+  const item = resolveTappedItem(uid, parseInt(m[1], 10));
+  if (!item) {
+    await bot.sendMessage(uid, `There is no item #${m[1]} on your checklist.`);
     return;
   }
-  const target = msg.reply_to_message.from;
-  const allow = getAllowlist(cid);
-  if (!allow.includes(target.id)) {
-    allow.push(target.id);
-    saveData(DB);
-  }
+
+  const note = setItemNote(uid, item, (m[2] || "").trim() === "-" ? "" : m[2]);
+  await bot.sendMessage(uid, note ? `📝 Note saved on #${m[1]} ${item.text}` : `📝 Note removed from #${m[1]} ${item.text}`);
+  await sendDmChecklist(uid);
+}
+
+async function promptForEvidence(uid, item) {
+  const st = getUserState(uid);
+  st.awaitingEvidence = item.key;
+  saveData(DB);
+
+  const n = userItems(uid).findIndex((it) => it.key === item.key) + 1;
   await bot.sendMessage(
-    cid,
-    `✅ Allowed: ${escapeHtml(target.first_name || target.username || String(target.id))} (${target.id})`,
-    { parse_mode: "HTML" }
+    uid,
+    `📷 #${n} <b>${escapeHtml(item.text)}</b> needs evidence.\nSend a photo (or a file) now.`,
+    { parse_mode: "HTML", reply_markup: { force_reply: true } }
   );
-});
+}
 
-bot.onText(cmdRe("deny"), async (msg) => {
-  if (!GROUP_CHAT_ID || String(msg.chat.id) !== String(GROUP_CHAT_ID)) return;
-  const cid = msg.chat.id;
-  const caller = msg.from?.id;
-  if (!caller) return;
+// The item is taken from a caption starting with "#n", a reply to the evidence prompt, or the last prompt sent.
+// A "#n" further into the caption ("Receipt #12 for the fridge") is just text.
+async function handleEvidenceUpload(msg) {
+  const uid = msg.from?.id;
+  if (!uid) return;
 
-  if (!(await isAdmin(cid, caller))) {
-    await bot.sendMessage(cid, "Only admins can use /deny.");
-    return;
-  }
-  if (!msg.reply_to_message || !msg.reply_to_message.from) {
-    await bot.sendMessage(cid, "Reply to the user’s message with /deny.");
+  const st = getUserState(uid);
+  if (!userGroupId(uid)) {
+    await bot.sendMessage(uid, NO_GROUP_TEXT);
     return;
   }
-  const target = msg.reply_to_message.from;
-  const allow = getAllowlist(cid);
-  const idx = allow.indexOf(target.id);
-  if (idx >= 0) {
-    allow.splice(idx, 1);
-    saveData(DB);
-    await bot.sendMessage(
-      cid,
-      `🚫 Removed from allowlist: ${escapeHtml(target.first_name || target.username || String(target.id))} (${target.id})`,
-      { parse_mode: "HTML" }
-    );
-  } else {
-    await bot.sendMessage(cid, `User (${target.id}) was not on the allowlist.`);
-  }
-});
 
-bot.onText(cmdRe("whoallowed"), async (msg) => {
-  if (!GROUP_CHAT_ID || String(msg.chat.id) !== String(GROUP_CHAT_ID)) return;
-  const cid = msg.chat.id;
-  const allow = getAllowlist(cid);
-  if (!allow.length) {
-    await bot.sendMessage(cid, "No one is on the allowlist yet.");
+  const ref = /^\s*#(\d+)\b/.exec(msg.caption || "") || /^📷 #(\d+)\b/.exec(msg.reply_to_message?.text || "");
+  const item = ref
+    ? resolveTappedItem(uid, parseInt(ref[1], 10))
+    : userItems(uid).find((it) => it.key === st.awaitingEvidence) || null;
+
+  if (!item) {
+    await bot.sendMessage(uid, "Which item is this for? Tap the item first, or send it again with a caption like #5.");
     return;
   }
-  const lines = [];
-  for (const uid of allow) {
-    const name = await safeGetChatMemberName(cid, uid);
-    lines.push(`• ${escapeHtml(name)} (${uid})`);
-  }
-  await bot.sendMessage(cid, `<b>Allowlist</b>\n${lines.join("\n")}`, { parse_mode: "HTML" });
-});
-
-// ===================== Callback queries =====================
-bot.on("callback_query", async (q) => {
-  const data = q.data;
-  const fromId = q.from?.id;
-  const msg = q.message;
 
-  try {
-    await bot.answerCallbackQuery(q.id);
-  } catch {}
-
-  if (!fromId) return;
-
-  if (data === "start_duty") {
-    const groupId = GROUP_CHAT_ID ? String(GROUP_CHAT_ID) : msg ? String(msg.chat.id) : null;
-    if (!groupId) return;
+  const file = msg.photo
+    ? { type: "photo", fileId: msg.photo[msg.photo.length - 1].file_id }
+    : { type: "document", fileId: msg.document.file_id, name: msg.document.file_name || null };
 
-    setActiveDuty(fromId, groupId);
-
-    try {
-      const name = await safeGetChatMemberName(groupId, fromId);
-      await bot.sendMessage(groupId, `✅ Duty started: ${name}. Checklist will be in DM.`);
-    } catch {}
+  attachEvidence(uid, item, file);
+  await bot.sendMessage(uid, `📎 Evidence saved: ${item.text}`);
+  await sendDmChecklist(uid);
+}
 
-    try {
-      await bot.sendMessage(fromId, "You are now on duty. Here is your checklist:");
-      await sendDmChecklist(fromId);
-    } catch (e) {
-      try {
-        await bot.sendMessage(
-          groupId,
-          "⚠️ I could not DM you. Please open the bot and send /start once, then tap Start Duty again."
-        );
-      } catch {}
-      console.error("start_duty DM error:", e?.response?.body || e);
-    }
+bot.on("message", async (msg) => {
+  rememberUser(msg.from);
+  if (msg.chat.type === "private" && (msg.photo || msg.document)) {
+    await handleEvidenceUpload(msg);
     return;
   }
-});
 
-// ===================== DM message handler =====================
-bot.on("message", async (msg) => {
   if (!msg.text) return;
-  if (/^\/(start|help|menu|clear|allow|deny|whoallowed)\b/i.test(msg.text)) return;
+  if (/^\/(start|help|menu|clear|allow|deny|whoallowed|history|report|attendance|reminders|register|poll|roster|swap|role|reset|items|trash|addtask|template|stats|note|timezone|language)\b/i.test(msg.text)) return;
   if (msg.chat.type !== "private") return;
 
   const uid = msg.from?.id;
   if (!uid) return;
 
   const st = getUserState(uid);
+  const groupId = userGroupId(uid);
+  if (!groupId) {
+    await bot.sendMessage(uid, NO_GROUP_TEXT);
+    return;
+  }
+
+  // Reply-keyboard buttons, in the group's language (or English, for a keyboard drawn before a /language change).
+  const B = localeFor(groupId).buttons;
+  const tapped = (name) => msg.text === B[name] || msg.text === LOCALES.en.buttons[name];
+
+  // Only a real section's button; any other "📂 …" text goes on to the handlers below.
+  const sectionTitle = msg.text.startsWith(sectionButtonLabel("")) ? msg.text.slice(sectionButtonLabel("").length).trim() : null;
+  if (sectionTitle && listItems(groupId).some((it) => it.section === sectionTitle)) {
+    await bot.sendMessage(uid, formatSectionInstructions(uid, sectionTitle), { parse_mode: "HTML" });
+    return;
+  }
 
-  if (msg.text === "🔄 Refresh") {
+  if (tapped("refresh")) {
     await sendDmChecklist(uid);
     return;
   }
 
-  if (msg.text === "🧹 Clear checks") {
+  if (tapped("clearChecks")) {
     resetChecksForUser(uid);
     await sendDmChecklist(uid);
     return;
   }
 
-  if (msg.text === "📋 Compact view") {
+  if (tapped("compactView")) {
     st.compact = true;
     saveData(DB);
     await sendDmChecklist(uid);
     return;
   }
 
-  if (msg.text === "📝 Full view") {
+  if (tapped("fullView")) {
     st.compact = false;
     saveData(DB);
     await sendDmChecklist(uid);
     return;
   }
 
-  if (msg.text === "🗑 Remove mode") {
-    if (!(await canUserModifyExtras(uid))) {
-      await bot.sendMessage(uid, "🚫 You are not allowed to remove tasks. Ask an admin to /allow you in the group.");
+  if (tapped("inlineButtons")) {
+    st.inlineMode = true;
+    st.inlinePage = 0;
+    saveData(DB);
+    await bot.sendMessage(uid, "Switched to inline buttons. This checklist message now updates in place.", {
+      reply_markup: { remove_keyboard: true },
+    });
+    await sendDmChecklist(uid);
+    return;
+  }
+
+  if (tapped("removeMode")) {
+    if (!(await userCan(uid, "removeExtra"))) {
+      await bot.sendMessage(uid, noPermissionText("removeExtra"));
       return;
     }
     st.removeMode = true;
@@ -875,7 +5859,7 @@ bot.on("message", async (msg) => {
     return;
   }
 
-  if (msg.text === "✅ Done removing") {
+  if (tapped("doneRemoving")) {
     st.removeMode = false;
     saveData(DB);
     await bot.sendMessage(uid, "Remove mode OFF.");
@@ -883,84 +5867,94 @@ bot.on("message", async (msg) => {
     return;
   }
 
-  if (msg.text === "➕ Add") {
-    if (!(await canUserModifyExtras(uid))) {
-      await bot.sendMessage(uid, "🚫 You are not allowed to add tasks. Ask an admin to /allow you in the group.");
+  if (tapped("add")) {
+    if (!(await userCan(uid, "addExtra"))) {
+      await bot.sendMessage(uid, noPermissionText("addExtra"));
       return;
     }
-    await bot.sendMessage(uid, "Send the GLOBAL extra task text:", { reply_markup: { force_reply: true } });
+    await bot.sendMessage(uid, ADD_EXTRA_PROMPT, { parse_mode: "HTML", reply_markup: { force_reply: true } });
+    return;
+  }
+
+  if (tapped("note")) {
+    await sendNotePrompt(uid);
+    return;
+  }
+
+  // A reply to the note prompt, or "#4 bin full" in reply to the checklist itself.
+  const noteTarget = noteReplyTarget(msg, st);
+  if (noteTarget === "prompt" || (noteTarget === "checklist" && CHECKLIST_NOTE_RE.test(msg.text))) {
+    await handleNoteInput(uid, msg.text);
+    return;
+  }
+
+  if (msg.reply_to_message && /needs evidence\./.test(msg.reply_to_message.text || "")) {
+    await bot.sendMessage(uid, "Please send a photo (or a file) as evidence — text does not tick this item.");
     return;
   }
 
   if (msg.reply_to_message && /Send the GLOBAL extra task text:/i.test(msg.reply_to_message.text || "")) {
-    if (!(await canUserModifyExtras(uid))) {
-      await bot.sendMessage(uid, "🚫 You are not allowed to add tasks. Ask an admin to /allow you in the group.");
+    if (!(await userCan(uid, "addExtra"))) {
+      await bot.sendMessage(uid, noPermissionText("addExtra"));
       return;
     }
 
-    const t = msg.text.trim();
-    if (!t) return;
+    const parsed = await buildExtraTask(msg.text, msg, groupTz(groupId));
+    if (parsed.error) {
+      await bot.sendMessage(uid, `⚠️ ${parsed.error}`);
+      return;
+    }
 
-    const added = addSharedExtraTask(t);
+    const added = addSharedExtraTask(groupId, parsed.text, { userId: uid, name: userDisplayName(msg.from) }, parsed.schedule);
     if (!added) {
       await bot.sendMessage(uid, "Task was not added. It may already exist or be invalid.");
     }
     await sendDmChecklist(uid);
+    if (added) {
+      await announceExtraChange(uid, groupId, "add", added);
+      await notifyAssignees(getGroup(groupId), added, uid);
+    }
     return;
   }
 
-  const mm = msg.text.match(/^(?:✅|⬜️)\s+#(\d+)\b/);
+  const mm = msg.text.match(/^(?:✅|⬜️)\s+#(\d+)\b(?::\s(.*))?$/);
   if (mm) {
-    const n = parseInt(mm[1], 10);
-    const idx0 = n - 1;
-    const baseLen = BASE_ITEMS.length;
-    const extraLen = DB.sharedExtra.length;
-
-    if (idx0 >= 0 && idx0 < baseLen) {
-      st.baseDone[idx0] = !st.baseDone[idx0];
-      saveData(DB);
+    const item = resolveTappedItem(uid, parseInt(mm[1], 10), mm[2]);
+    if (!item) {
+      await bot.sendMessage(uid, "That item is no longer on the checklist. Here is the current one:");
       await sendDmChecklist(uid);
       return;
     }
 
-    if (idx0 >= baseLen && idx0 < baseLen + extraLen) {
-      const extraIndex = idx0 - baseLen;
-
-      if (st.removeMode) {
-        if (!(await canUserModifyExtras(uid))) {
-          await bot.sendMessage(uid, "🚫 You are not allowed to remove tasks. Ask an admin to /allow you in the group.");
-          return;
-        }
-
-        removeSharedExtraTaskAt(extraIndex);
-      } else {
-        st.extraDone[extraIndex] = !st.extraDone[extraIndex];
-        saveData(DB);
+    if (item.kind === "extra" && st.removeMode) {
+      if (!(await userCan(uid, "removeExtra"))) {
+        await bot.sendMessage(uid, noPermissionText("removeExtra"));
+        return;
       }
 
+      const removed = removeSharedExtraTask(groupId, item.id, { by: { userId: uid, name: userDisplayName(msg.from) } });
       await sendDmChecklist(uid);
+      if (removed) await announceExtraChange(uid, groupId, "rm", removed);
       return;
-    }
-  }
-
-  // Auto-add GLOBAL EXTRA task if user has authority
-  const t = msg.text.trim();
-  if (t) {
-    if (!(await canUserModifyExtras(uid))) {
-      await bot.sendMessage(uid, "🚫 You are not allowed to add tasks. Ask an admin to /allow you in the group.");
+    } else if (item.evidence && !itemState(st, item).done) {
+      await promptForEvidence(uid, item);
       return;
+    } else {
+      toggleItem(uid, item);
     }
 
-    const added = addSharedExtraTask(t);
-    if (!added) {
-      await bot.sendMessage(uid, "Task was not added. It may already exist or be invalid.");
-    }
     await sendDmChecklist(uid);
+    return;
   }
+
+  // Plain text never creates a task by itself; adding goes through ➕ Add.
+  await bot.sendMessage(uid, "I did not understand that. To add a GLOBAL extra task, tap ➕ Add first. Send /help for more.");
 });
 
 // ===================== Startup / Shutdown =====================
-console.log("PollEnv:", { SEND_MORNING_POLL });
+console.log("PollEnv:", { SEND_MORNING_POLL, BOT_MODE });
+
+const ALLOWED_UPDATES = ["message", "callback_query", "poll_answer"];
 
 process.on("unhandledRejection", (e) =>
   console.error("unhandledRejection:", e?.response?.body || e)
@@ -985,103 +5979,144 @@ bot.on("polling_error", async (err) => {
 });
 
 async function gracefulShutdown(reason) {
-  try {
-    if (VERBOSE) console.log("Shutdown:", reason);
-    await announceOfflineStatusToGroup(reason);
-  } catch {}
+  if (VERBOSE) console.log("Shutdown:", reason);
+
+  for (const g of listGroups()) {
+    try {
+      await announceOfflineStatusToGroup(g.id, reason);
+    } catch {}
+
+    // An always-on bot only stops to restart, so the shift stays open.
+    if (WEBHOOK_MODE) continue;
+
+    // Close the shift first so the report carries its end time and final state.
+    let shift = null;
+    try {
+      shift = getActiveShift(g.id);
+      clearActiveDuty(g.id, reason);
+    } catch {}
+
+    try {
+      if (shift) await sendShiftReport(g.id, shift);
+    } catch {}
+  }
 
+  await Promise.allSettled([...carryOverEscalations]);
+  for (const check of shutdownChecks) await check();
   try {
-    clearActiveDuty();
+    store.close();
   } catch {}
-
-  process.exit(0);
+  process.exit(process.exitCode || 0);
 }
 
-(async function main() {
+async function main() {
   try {
     const me = await bot.getMe();
     console.log(`🤖 Bot @${me.username} (ID ${me.id}) starting…`);
 
-    if (!GROUP_CHAT_ID) {
-      console.warn("⚠️ CHAT_ID is not set. Group announcements will not be sent.");
-    }
-
     ensureRoot();
-    normalizeSharedExtra();
+    if (!listGroups().length) {
+      console.warn("⚠️ No groups registered (CHAT_ID is not set). Send /register in a group to start.");
+    }
 
     if (CLEAR_ACTIVE_DUTY_ON_BOOT) {
-      clearActiveDuty();
+      for (const g of listGroups()) clearActiveDuty(g.id, "boot");
       if (VERBOSE) console.log("Boot: active duty cleared.");
     }
     if (RESET_CHECKS_ON_BOOT) {
       resetAllUsersChecks();
       if (VERBOSE) console.log("Boot: all user checks reset.");
     }
+    for (const g of listGroups()) archiveExpiredExtras(g);
 
-    try {
-      await bot.deleteWebHook({ drop_pending_updates: DROP_PENDING });
-      console.log(`✅ Webhook cleared. (drop_pending_updates=${DROP_PENDING})`);
-    } catch (e) {
-      console.warn("⚠️ deleteWebHook failed (continuing):", e?.response?.body || e);
+    if (DASHBOARD_PORT) {
+      try {
+        await startDashboard();
+      } catch (e) {
+        console.warn("⚠️ Dashboard failed to start (continuing):", e?.message || e);
+      }
+    }
+
+    if (WEBHOOK_MODE) {
+      await startWebhookServer();
+    } else {
+      try {
+        await bot.deleteWebHook({ drop_pending_updates: DROP_PENDING });
+        console.log(`✅ Webhook cleared. (drop_pending_updates=${DROP_PENDING})`);
+      } catch (e) {
+        console.warn("⚠️ deleteWebHook failed (continuing):", e?.response?.body || e);
+      }
     }
 
     // Outbound work first
-    if (GROUP_CHAT_ID) {
+    for (const g of listGroups()) {
+      const pollAt = morningPollTime(g);
       if (VERBOSE) {
-        const p = nowSgtParts();
+        const p = nowLocalParts(groupTz(g.id));
         console.log(
-          `Boot SGT=${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")} target=${String(
-            MORNING_POLL_SGT_HOUR
-          ).padStart(2, "0")}:${String(MORNING_POLL_SGT_MINUTE).padStart(2, "0")} window=${MORNING_POLL_WINDOW_MINUTES} ` +
-            `SEND_MORNING_POLL=${SEND_MORNING_POLL} lastMorningPollDateSgt=${DB?.meta?.lastMorningPollDateSgt}`
+          `Boot ${g.id} ${groupTz(g.id)}=${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")} target=${String(
+            pollAt.hour
+          ).padStart(2, "0")}:${String(pollAt.minute).padStart(2, "0")} window=${MORNING_POLL_WINDOW_MINUTES} ` +
+            `SEND_MORNING_POLL=${SEND_MORNING_POLL} poll=${g.poll.enabled} lastMorningPollDateSgt=${g.lastMorningPollDateSgt}`
         );
       }
 
       try {
-        await announceAwakeToGroup();
+        await announceAwakeToGroup(g.id);
       } catch (e) {
         console.warn("⚠️ announceAwakeToGroup failed:", e?.response?.body || e);
       }
 
+      if (ROSTER_AUTO_ASSIGN) {
+        try {
+          await assignRosteredDuty(g.id);
+        } catch (e) {
+          console.warn("⚠️ assignRosteredDuty failed:", e?.response?.body || e);
+        }
+      }
+
       try {
-        await sendStartDutyPromptToGroup();
+        await sendStartDutyPromptToGroup(g.id);
       } catch (e) {
         console.warn("⚠️ sendStartDutyPromptToGroup failed:", e?.response?.body || e);
       }
 
-      const shouldSend = shouldSendMorningPollNow();
-      const alreadySent = alreadySentMorningPollToday();
-
-      if (shouldSend && !alreadySent) {
-        try {
-          if (VERBOSE) {
-            const p = nowSgtParts();
-            console.log(
-              `Morning poll sending (SGT ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")})`
-            );
-          }
-          await sendMorningPollToGroup();
-          markMorningPollSentToday();
-        } catch (e) {
-          console.warn("⚠️ sendMorningPollToGroup failed:", e?.response?.body || e);
-        }
-      } else if (VERBOSE) {
-        const p = nowSgtParts();
-        console.log(
-          `Morning poll NOT sent. shouldSend=${shouldSend} alreadySentToday=${alreadySent} ` +
-            `(SGT ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")})`
-        );
+      try {
+        await sendMorningPollIfDue(g);
+      } catch (e) {
+        console.warn("⚠️ sendMorningPollToGroup failed:", e?.response?.body || e);
       }
     }
 
+    // Webhook mode: Telegram starts delivering once the webhook is set; the scheduler replaces run timers.
+    if (WEBHOOK_MODE) {
+      await bot.setWebHook(WEBHOOK_URL, {
+        secret_token: WEBHOOK_SECRET,
+        allowed_updates: JSON.stringify(ALLOWED_UPDATES),
+        drop_pending_updates: DROP_PENDING,
+      });
+      webhookReady = true;
+      console.log(`📡 Webhook set. (drop_pending_updates=${DROP_PENDING})`);
+      startScheduler();
+      return;
+    }
+
     // Polling after outbound work
     await bot.startPolling({
       interval: 2000,
-      params: { timeout: 30, allowed_updates: ["message", "callback_query"] },
+      params: { timeout: 30, allowed_updates: ALLOWED_UPDATES },
     });
     console.log("📡 Polling started.");
 
+    for (const g of listGroups()) warnUnreachableReminders(g.id);
     scheduleRunReminders();
+    for (const g of listGroups()) scheduleDueTimeAlerts(g.id);
+    for (const g of listGroups()) {
+      scheduleAttendanceSummary(g.id);
+      scheduleRosterDayStart(g.id);
+      armHandoverTimeout(g.id);
+      armRosterAckPing(g.id);
+    }
 
     if (DURATION_MINUTES > 0) {
       const durMs = DURATION_MINUTES * 60 * 1000;
@@ -1089,9 +6124,11 @@ async function gracefulShutdown(reason) {
 
       if (warnMs > 0) {
         setTimeout(async () => {
-          try {
-            await announceSleepWarningToGroup();
-          } catch {}
+          for (const g of listGroups()) {
+            try {
+              await announceSleepWarningToGroup(g.id);
+            } catch {}
+          }
         }, warnMs);
       }
 
@@ -1117,7 +6154,63 @@ async function gracefulShutdown(reason) {
 
     process.exit(1);
   }
-})();
+}
 
-process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
-process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+// `node checklist.js` runs the bot; require() (the tests in test/) only loads it and gets the internals.
+if (require.main === module) {
+  main();
+  process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+  process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+} else {
+  module.exports = {
+    bot,
+    getDB: () => DB,
+    BASE_ITEMS,
+    getUserState,
+    migrateToItemIds,
+    checkOverdueItems,
+    DEFAULT_REMINDER_SCHEDULE,
+    parseReminderSchedule,
+    formatReminderMark,
+    reminderMarkMinute,
+    describeReminderSchedule,
+    handleEvidenceUpload,
+    handleNoteInput,
+    listItems,
+    toggleItem,
+    setActiveDuty,
+    clearActiveDuty,
+    getShift,
+    parseStatsPeriod,
+    completionStats,
+    statsText,
+    buildShiftCsv,
+    sendAttendanceSummary,
+    getGroup,
+    registerGroup,
+    addSharedExtraTask,
+    removeSharedExtraTask,
+    trashMessage,
+    parseExtraTask,
+    extraActiveOn,
+    archiveExpiredExtras,
+    buildExtraTask,
+    assigneeLabel,
+    isAdmin,
+    loadItemsFile,
+    shouldSendMorningPollNow,
+    helpText,
+    listTemplates,
+    autoTemplate,
+    setGroupTemplate,
+    parseRosterCsv,
+    armHandoverTimeout,
+    armRosterAckPing,
+    startRosterDay,
+    announceDueHandoverTimeout,
+    startRosterDayIfDue,
+    saveData,
+    acquireDataLock,
+    startDashboard,
+  };
+}
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+const extras = (b, uid) => b.listItems("-100", uid).filter((it) => it.kind === "extra").map((it) => it.text);
+
+test("for <role> takes the singular or the plural", async () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+
+  for (const [word, role] of [["editor", "editor"], ["editors", "editor"], ["admins", "admin"], ["viewers", "viewer"]]) {
+    const r = await b.buildExtraTask(`Count the float | for ${word}`);
+    assert.deepEqual(r.schedule.assignee, { type: "role", role }, word);
+  }
+  assert.deepEqual((await b.buildExtraTask("Count the float | for duty")).schedule.assignee, { type: "duty" });
+  assert.match((await b.buildExtraTask("Count the float | for stranger")).error, /I don't know/);
+  assert.equal(b.assigneeLabel({ type: "role", role: "duty" }), "duty users");
+  assert.equal(b.assigneeLabel({ type: "role", role: "editor" }), "editors");
+});
+
+test("a role extra shows to that role and above", async () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  b.getGroup("-100").roles = { 5: "editor", 6: "viewer" };
+  const { text, schedule } = await b.buildExtraTask("Count the float | for editors");
+  b.addSharedExtraTask("-100", text, null, schedule);
+
+  assert.deepEqual(extras(b, 5), ["Count the float"]);
+  assert.deepEqual(extras(b, 6), []);
+});
+
+test("Telegram admins still see admin extras after a restart", async () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  b.bot.getChatMember = async (chatId, userId) => ({ status: userId === 1 ? "administrator" : "member", user: { id: userId } });
+  const { text, schedule } = await b.buildExtraTask("Sign the log | for admins");
+  b.addSharedExtraTask("-100", text, null, schedule);
+  await b.isAdmin("-100", 1);
+  await b.isAdmin("-100", 2);
+
+  const again = loadBot({ dir: b.dir, env: { CHAT_ID: "-100" } });
+  assert.deepEqual(extras(again, 1), ["Sign the log"]);
+  assert.deepEqual(extras(again, 2), []);
+});
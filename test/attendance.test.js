@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const poll = (sentIso) => ({
+  attendance: {
+    "2026-03-02": {
+      pollId: "p1",
+      chatId: "-100",
+      messageId: 7,
+      sentIso,
+      answers: { 101: { name: "Ann", option: "Yes", atIso: sentIso } },
+      summarySentIso: null,
+    },
+  },
+});
+
+test("a poll from an earlier run is summarised with a missing-answers note", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T04:00:00Z") }); // 12:00 SGT
+  const b = loadBot({ env: { CHAT_ID: "-100" }, data: poll("2026-03-02T00:00:00.000Z") });
+  const sent = recordSends(b.bot);
+
+  await b.sendAttendanceSummary("-100");
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].args[1], /Ann/);
+  assert.match(sent[0].args[1], /offline[\s\S]*may be missing/);
+});
+
+test("a poll posted during this run has no note", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T00:00:00Z") });
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  Object.assign(b.getDB().groups["-100"], poll(new Date(Date.now() + 1000).toISOString()));
+  const sent = recordSends(b.bot);
+
+  await b.sendAttendanceSummary("-100");
+  assert.equal(sent.length, 1);
+  assert.doesNotMatch(sent[0].args[1], /may be missing/);
+});
+
+test("a stale day is not summarised", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T04:00:00Z") });
+  const b = loadBot({ env: { CHAT_ID: "-100" }, data: poll("2026-02-27T00:00:00.000Z") });
+  const sent = recordSends(b.bot);
+
+  await b.sendAttendanceSummary("-100");
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const settle = () => new Promise((r) => setTimeout(r, 50));
+const office = (title) => ({ title, sections: [{ title: "Office", items: [{ id: "lock", text: "Lock up" }, { id: "desk", text: "Clear desk" }] }] });
+
+function carryBot(files = {}) {
+  const b = loadBot({ data: {}, files: { "base_items.json": office(), ...files }, env: { CHAT_ID: "-100", CARRY_OVER_ESCALATE_SHIFTS: "2" } });
+  const sent = recordSends(b.bot);
+  b.bot.getChatAdministrators = async () => [{ status: "administrator", user: { id: 1 } }];
+  return { b, sent };
+}
+
+// One duty that ticks everything but "lock", then hands over to the next user.
+function leaveLockOpen(b, uid) {
+  b.setActiveDuty(uid, "-100", `user${uid}`);
+  const desk = b.listItems("-100").find((it) => it.id === "desk");
+  b.toggleItem(uid, desk);
+}
+
+test("an item left open CARRY_OVER_ESCALATE_SHIFTS duties in a row is sent to the admins once", async () => {
+  const { b, sent } = carryBot();
+  const adminDms = () => sent.filter((c) => c.method === "sendMessage" && c.args[0] === 1);
+
+  leaveLockOpen(b, 7);
+  leaveLockOpen(b, 8);
+  await settle();
+  assert.equal(b.getGroup("-100").carryOver.items[0].shifts, 1);
+  assert.equal(adminDms().length, 0);
+
+  leaveLockOpen(b, 7);
+  await settle();
+  assert.equal(b.getGroup("-100").carryOver.items[0].shifts, 2);
+  assert.equal(adminDms().length, 1);
+  assert.match(adminDms()[0].args[1], /Lock up — <i>2 duties/);
+
+  leaveLockOpen(b, 8);
+  await settle();
+  assert.equal(adminDms().length, 1);
+});
+
+test("ticking the item ends the streak", () => {
+  const { b } = carryBot();
+  leaveLockOpen(b, 7);
+  leaveLockOpen(b, 8);
+  b.toggleItem(8, b.listItems("-100").find((it) => it.id === "lock"));
+  leaveLockOpen(b, 7);
+  assert.equal(b.getGroup("-100").carryOver, null);
+});
+
+test("an item counts as the same open item on another template", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T04:00:00Z") }); // Mon 12:00 SGT
+  const { b } = carryBot({ "templates/night.json": { ...office("Night"), auto: { from: "22:00", until: "06:00" } } });
+  const g = b.getGroup("-100");
+
+  leaveLockOpen(b, 7);
+  t.mock.timers.setTime(Date.parse("2026-03-02T15:00:00Z")); // Mon 23:00: the night template
+  leaveLockOpen(b, 8);
+  assert.equal(g.template, "night");
+  leaveLockOpen(b, 7);
+
+  const [lock] = g.carryOver.items;
+  assert.equal(lock.key, "b:night/lock");
+  assert.equal(lock.shifts, 2);
+});
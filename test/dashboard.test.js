@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadBot } = require("./helpers");
+
+const TOKEN = "dashboard-test-token-0123";
+const kitchen = [{ id: "stove", text: "Stove off" }];
+
+// DASHBOARD_PORT=0 still starts it when asked: the OS picks a free port.
+async function dashboard(t) {
+  // Quiet: the dashboard's own log lines garble Node 20's test-runner stream ("Unable to deserialize cloned data").
+  t.mock.method(console, "log", () => {});
+  const b = loadBot({
+    data: {},
+    env: { CHAT_ID: "-100", DASHBOARD_PORT: "0", DASHBOARD_TOKEN: TOKEN },
+    files: { "group_items/kitchen.json": kitchen },
+  });
+  b.registerGroup("-200", { itemsFile: "kitchen.json" });
+  const server = await b.startDashboard();
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (p, { form, token = TOKEN, ...opts } = {}) =>
+    fetch(base + p, {
+      redirect: "manual",
+      headers: { authorization: token ? `Bearer ${token}` : "", "content-type": "application/x-www-form-urlencoded" },
+      ...(form ? { method: "POST", body: new URLSearchParams(form).toString() } : {}),
+      ...opts,
+    });
+  return { b, call };
+}
+
+test("the dashboard needs the token; ?token= moves it into a cookie", async (t) => {
+  const { call } = await dashboard(t);
+
+  assert.equal((await call("/api/status", { token: "" })).status, 401);
+  assert.equal((await call("/api/status", { token: "x".repeat(TOKEN.length) })).status, 401);
+
+  const login = await call(`/?token=${TOKEN}`, { token: "" });
+  assert.equal(login.status, 303);
+  assert.match(login.headers.get("set-cookie"), /^dashboard_token=.*HttpOnly/);
+  assert.equal(login.headers.get("location"), "/");
+});
+
+test("status lists each group; extras can be added and removed", async (t) => {
+  const { b, call } = await dashboard(t);
+
+  const added = await call("/groups/-100/extras", { form: { text: "Lock the gate" } });
+  assert.equal(added.status, 303);
+  const [extra] = b.getGroup("-100").sharedExtra;
+  assert.equal(extra.text, "Lock the gate");
+
+  const status = await (await call("/api/status")).json();
+  assert.deepEqual(status.groups.map((g) => [g.id, g.itemsFile]), [["-100", "base_items.json"], ["-200", "kitchen.json"]]);
+
+  await call(`/groups/-100/extras/${extra.id}/delete`, { form: {} });
+  assert.deepEqual(b.getGroup("-100").sharedExtra, []);
+});
+
+test("a group's items are saved to its file in group_items/, and only when valid", async (t) => {
+  const { b, call } = await dashboard(t);
+  const file = path.join(b.dir, "group_items", "kitchen.json");
+
+  const bad = await call("/groups/-200/items", { form: { items: "[{}]" } });
+  assert.match(decodeURIComponent(bad.headers.get("location")), /Items not saved/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), kitchen);
+
+  const items = JSON.stringify([...kitchen, { id: "tap", text: "Tap closed" }]);
+  await call("/groups/-200/items", { form: { items } });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).map((it) => it.id), ["stove", "tap"]);
+  assert.deepEqual(b.listItems("-200").map((it) => it.id), ["stove", "tap"]);
+  assert.equal(fs.existsSync(path.join(b.dir, "kitchen.json")), false);
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const items = {
+  sections: [
+    {
+      title: "Office",
+      items: [
+        { id: "desk", text: "Clear desk" },
+        { id: "fridge", text: "Check fridge" },
+        { id: "receipt", text: "File the receipt", evidence: true },
+      ],
+    },
+  ],
+};
+const photo = (uid, caption) => ({ chat: { id: uid, type: "private" }, from: { id: uid }, photo: [{ file_id: "f1" }], caption });
+
+test("a #n further into the caption does not pick the item", async () => {
+  const b = loadBot({ data: {}, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  recordSends(b.bot);
+  b.getUserState(7).awaitingEvidence = "b:receipt";
+
+  await b.handleEvidenceUpload(photo(7, "Receipt #2 for the fridge"));
+  const st = b.getUserState(7);
+  assert.deepEqual(Object.keys(st.evidence), ["b:receipt"]);
+  assert.equal(st.done["b:fridge"], undefined);
+});
+
+test("a caption starting with #n attaches to item n", async () => {
+  const b = loadBot({ data: {}, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  recordSends(b.bot);
+
+  await b.handleEvidenceUpload(photo(7, "#2 all cold"));
+  const st = b.getUserState(7);
+  assert.deepEqual(Object.keys(st.evidence), ["b:fridge"]);
+  assert.equal(st.done["b:fridge"], true);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+// Monday 2026-03-02, 10:00 SGT.
+const MONDAY = Date.parse("2026-03-02T02:00:00Z");
+
+test("a schedule after the | is parsed", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: MONDAY });
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+
+  assert.deepEqual(b.parseExtraTask("Lock the gate | today"), { text: "Lock the gate", schedule: { from: "2026-03-02", until: "2026-03-02" } });
+  assert.deepEqual(b.parseExtraTask("Lock the gate | until fri").schedule, { until: "2026-03-06" });
+  assert.deepEqual(b.parseExtraTask("Lock the gate | from 2026-03-04 until 2026-03-10").schedule, { from: "2026-03-04", until: "2026-03-10" });
+  assert.deepEqual(b.parseExtraTask("Lock the gate | daily").schedule, { repeat: "daily" });
+  assert.deepEqual(b.parseExtraTask("Lock the gate | every thu,mon").schedule, { repeat: ["mon", "thu"] });
+});
+
+test("a | that is not followed by a schedule is part of the text", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: MONDAY });
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+
+  assert.deepEqual(b.parseExtraTask("Check A|B panel"), { text: "Check A|B panel", schedule: {} });
+  assert.deepEqual(b.parseExtraTask("Check A | until the light is off"), { text: "Check A | until the light is off", schedule: {} });
+  assert.deepEqual(b.parseExtraTask("Lock the gate"), { text: "Lock the gate", schedule: {} });
+});
+
+test("a schedule that cannot be met is refused", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: MONDAY });
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+
+  assert.match(b.parseExtraTask("Lock the gate | until 2026-03-01").error, /already passed/);
+  assert.match(b.parseExtraTask("Lock the gate | from fri until tue").error, /after/);
+  assert.match(b.parseExtraTask(" | today").error, /empty/);
+});
+
+test("weekly extras show only on their days; expired ones go to the trash", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: MONDAY });
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  const g = b.getGroup("-100");
+
+  assert.equal(b.extraActiveOn({ repeat: ["mon", "thu"] }, "2026-03-02"), true);
+  assert.equal(b.extraActiveOn({ repeat: ["mon", "thu"] }, "2026-03-03"), false);
+  assert.equal(b.extraActiveOn({ from: "2026-03-04" }, "2026-03-02"), false);
+
+  b.addSharedExtraTask("-100", "Yesterday only", null, { from: "2026-03-01", until: "2026-03-01" });
+  b.addSharedExtraTask("-100", "Until Friday", null, { until: "2026-03-06" });
+  b.archiveExpiredExtras(g);
+
+  assert.deepEqual(g.sharedExtra.map((x) => x.text), ["Until Friday"]);
+  assert.deepEqual(g.trash.map((x) => x.text), ["Yesterday only"]);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+const kitchen = { sections: [{ title: "Kitchen", items: [{ id: "stove", text: "Stove off" }] }] };
+const files = { "group_items/kitchen.json": kitchen, "group_items/broken.json": "{" };
+
+test("a group registered with a file uses that checklist", () => {
+  const b = loadBot({ data: {}, files, env: { CHAT_ID: "-100" } });
+  b.registerGroup("-200", { itemsFile: "kitchen.json" });
+
+  assert.deepEqual(b.listItems("-200").map((it) => it.key), ["b:stove"]);
+  assert.deepEqual(b.listItems("-100").map((it) => it.id), b.BASE_ITEMS.map((it) => it.id));
+});
+
+test("only plain file names inside group_items/ load", () => {
+  const b = loadBot({ data: {}, files });
+
+  assert.throws(() => b.loadItemsFile("checklists.json"), /not found in group_items/);
+  assert.throws(() => b.loadItemsFile("package.json"), /not found in group_items/);
+  assert.throws(() => b.loadItemsFile("../checklists.json"), /not a plain \.json file name/);
+  assert.throws(() => b.loadItemsFile("..json"), /not a plain \.json file name/);
+  assert.throws(() => b.loadItemsFile("broken.json"));
+  assert.equal(b.loadItemsFile("kitchen.json")[0].text, "Stove off");
+});
+
+test("a file that stops loading falls back to base_items.json", () => {
+  const b = loadBot({ data: {}, files, env: { CHAT_ID: "-100" } });
+  b.registerGroup("-200", { itemsFile: "broken.json" });
+  assert.deepEqual(b.listItems("-200").map((it) => it.id), b.BASE_ITEMS.map((it) => it.id));
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, readData } = require("./helpers");
+
+const singleGroup = () => ({
+  users: { 7: { done: { "x:e1": true } } },
+  sharedExtra: [{ id: "e1", text: "Water the plants" }],
+  duty: { active: { userId: 7, groupChatId: "-100", sinceIso: "2026-03-02T00:00:00.000Z", shiftId: null }, handover: null },
+  attendance: { "2026-03-02": { pollId: "p1", chatId: "-100", messageId: 3, sentIso: "2026-03-02T00:00:00.000Z", answers: {} } },
+  meta: { version: 3, nextExtraId: 2, lastMorningPollDateSgt: "2026-03-02", reminderSchedule: "15" },
+});
+
+test("the single-group layout moves under the group of the recorded duty", () => {
+  const b = loadBot({ data: singleGroup() });
+  const db = readData(b.dir);
+  const g = db.groups["-100"];
+
+  assert.equal(db.meta.version, 4);
+  for (const k of ["sharedExtra", "duty", "attendance"]) assert.equal(k in db, false, k);
+  assert.deepEqual(g.sharedExtra, [{ id: "e1", text: "Water the plants" }]);
+  assert.equal(g.nextExtraId, 2);
+  assert.equal(g.duty.active.userId, 7);
+  assert.equal(g.attendance["2026-03-02"].pollId, "p1");
+  assert.equal(g.reminderSchedule, "15");
+  assert.equal(db.users[7].groupId, "-100");
+});
+
+test("without CHAT_ID or a recorded duty the move waits for the first /register", () => {
+  const data = { ...singleGroup(), duty: { active: null, handover: null } };
+  const b = loadBot({ data });
+  assert.equal(readData(b.dir).meta.version, 3);
+  assert.deepEqual(b.getDB().groups, {});
+});
+
+test("each group keeps its own extras", () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  b.registerGroup("-200", { title: "Night shift" });
+  b.addSharedExtraTask("-200", "Lock the gate");
+
+  assert.deepEqual(b.listItems("-100").filter((it) => it.kind === "extra"), []);
+  assert.deepEqual(b.listItems("-200").filter((it) => it.kind === "extra").map((it) => it.text), ["Lock the gate"]);
+});
+
+test("duty cannot start in a group that is not registered", () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  assert.equal(b.setActiveDuty(7, "-300", "Ana"), false);
+  assert.equal(b.getGroup("-300"), null);
+  assert.deepEqual(b.getDB().history, []);
+});
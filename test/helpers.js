@@ -0,0 +1,62 @@
+// Loads checklist.js from a scratch copy of the bot, so a test never touches the real checklists.json.
+// Each call gets its own directory (and so its own module instance); `data` is written as its checklists.json.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const COPIED = ["checklist.js", "base_items.json", "locales"];
+
+const dirs = [];
+process.on("exit", () => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checklist-test-"));
+  dirs.push(dir);
+  for (const f of COPIED) fs.cpSync(path.join(ROOT, f), path.join(dir, f), { recursive: true });
+  fs.symlinkSync(path.join(ROOT, "node_modules"), path.join(dir, "node_modules"), "junction");
+  return dir;
+}
+
+/**
+ * `dir` reuses an earlier scratch directory: that is a restart on the data the last instance saved.
+ * `files` ({ "base_items.json": {…} }) replaces files of the copy before it loads.
+ */
+function loadBot({ data, env = {}, files = {}, dir = scratchDir() } = {}) {
+  if (data !== undefined) files = { ...files, "checklists.json": data };
+  for (const [f, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, f)), { recursive: true });
+    fs.writeFileSync(path.join(dir, f), typeof content === "string" ? content : JSON.stringify(content, null, 2));
+  }
+
+  const vars = { BOT_TOKEN: "test", VERBOSE: "false", ...env };
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try {
+    const file = path.join(dir, "checklist.js");
+    delete require.cache[file];
+    return Object.assign(require(file), { dir });
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+/** Replaces the bot's outgoing calls with recorders; returns the list they fill. */
+function recordSends(bot, methods = ["sendMessage", "sendDocument", "editMessageText", "editMessageReplyMarkup"]) {
+  const sent = [];
+  let nextId = 1;
+  for (const method of methods) {
+    bot[method] = async (...args) => {
+      sent.push({ method, args });
+      return { message_id: nextId++ };
+    };
+  }
+  return sent;
+}
+
+const readData = (dir) => JSON.parse(fs.readFileSync(path.join(dir, "checklists.json"), "utf8"));
+
+module.exports = { scratchDir, loadBot, recordSends, readData };
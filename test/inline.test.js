@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends, readData } = require("./helpers");
+
+const items = { sections: [{ title: "Office", items: [{ id: "desk", text: "Clear desk" }] }] };
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+test("tapping an older inline checklist answers first and keeps editing that message after a restart", async () => {
+  const data = { users: { 7: { done: {}, inlineMode: true, inlineMsgId: 50, inlinePage: 0 } } };
+  const b = loadBot({ data, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  const sent = recordSends(b.bot, ["sendMessage", "editMessageText", "editMessageReplyMarkup", "answerCallbackQuery"]);
+
+  b.bot.processUpdate({
+    update_id: 1,
+    callback_query: { id: "q1", from: { id: 7 }, data: "t:b:desk", message: { message_id: 40, chat: { id: 7, type: "private" } } },
+  });
+  await settle();
+
+  const calls = sent.map((c) => c.method);
+  assert.ok(calls.indexOf("answerCallbackQuery") < calls.indexOf("editMessageText"), calls.join(", "));
+  assert.equal(sent.find((c) => c.method === "editMessageText").args[1].message_id, 40);
+
+  const saved = readData(b.dir).users[7];
+  assert.equal(saved.inlineMsgId, 40);
+  assert.equal(saved.done["b:desk"], true);
+});
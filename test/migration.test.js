@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, readData } = require("./helpers");
+
+const legacy = () => ({
+  users: {
+    101: { compact: false, removeMode: false, baseDone: [true, false], extraDone: [false, true], menuHintBootId: null },
+    102: { compact: false, extra: [{ text: "Clean the fridge", done: true }] },
+  },
+  sharedExtra: [{ text: "Water the plants" }, { text: "Lock the cabinet" }],
+  allow: {},
+  // Pre-users per-chat blocks, keyed by chat id.
+  6171407541: {
+    items: [
+      { text: "Clear trash", done: true },
+      { text: "Off microwave switch", done: false },
+    ],
+    allow: [],
+    compact: true,
+  },
+  "-1002768068819": { items: [], allow: [42] },
+  group: { "-1002768068819": { items: [], allow: [43] } },
+  groups: { "-1002768068819": { items: [] } },
+  2024: "not a legacy block",
+  meta: { lastMorningPollDateSgt: null },
+});
+
+test("positional progress becomes item keys", () => {
+  const b = loadBot({ data: legacy() });
+  const done = b.getDB().users[101].done;
+  const [first, second] = b.BASE_ITEMS;
+
+  assert.equal(done[`b:${first.id}`], true);
+  assert.equal(done[`b:${second.id}`], undefined);
+  assert.deepEqual(
+    b.getDB().sharedExtra.map((x) => x.text),
+    ["Water the plants", "Lock the cabinet"]
+  );
+  assert.equal(done[`x:${b.getDB().sharedExtra[1].id}`], true);
+  assert.equal(b.getDB().users[101].baseDone, undefined);
+});
+
+test("a user's own legacy items are not shared with everyone", () => {
+  const b = loadBot({ data: legacy() });
+  const texts = b.getDB().sharedExtra.map((x) => x.text);
+
+  assert.ok(!texts.includes("Off microwave switch"));
+  assert.ok(!texts.includes("Clean the fridge"));
+  assert.equal(b.getDB().users[102].extra, undefined);
+
+  const trash = b.BASE_ITEMS.find((it) => it.text === "Clear trash");
+  assert.equal(b.getDB().users[6171407541].done[`b:${trash.id}`], true);
+  assert.equal(b.getDB().users[6171407541].compact, true);
+});
+
+test("only legacy blocks are consumed; allowlists are merged", () => {
+  const b = loadBot({ data: legacy() });
+  const db = readData(b.dir);
+
+  for (const k of ["6171407541", "-1002768068819", "group", "groups"]) assert.equal(k in db, false, k);
+  assert.equal(db[2024], "not a legacy block");
+  assert.deepEqual(db.allow["-1002768068819"].sort(), [42, 43]);
+  assert.equal(db.meta.version, 3);
+});
+
+test("migrating twice changes nothing", () => {
+  const first = loadBot({ data: legacy() });
+  const again = loadBot({ dir: first.dir });
+  assert.deepEqual(again.getDB(), first.getDB());
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends, readData } = require("./helpers");
+
+const items = {
+  sections: [
+    {
+      title: "Office",
+      items: [
+        { id: "desk", text: "Clear desk" },
+        { id: "keys", text: "Return keys" },
+      ],
+    },
+  ],
+};
+const settle = () => new Promise((r) => setTimeout(r, 50));
+const boot = (data = {}) => {
+  const b = loadBot({ data, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  return { b, sent: recordSends(b.bot) };
+};
+const withNote = { users: { 7: { done: {}, notes: { "b:keys": { text: "one key signed out", atIso: "2026-10-19T01:00:00.000Z" } } } } };
+
+test("a note is saved on the numbered item", async () => {
+  const { b, sent } = boot();
+
+  await b.handleNoteInput(7, "#2: one key signed out");
+  assert.deepEqual(Object.keys(b.getUserState(7).notes), ["b:keys"]);
+  assert.equal(readData(b.dir).users[7].notes["b:keys"].text, "one key signed out");
+  assert.match(sent[0].args[1], /Note saved on #2 Return keys/);
+});
+
+test("just the number, or the number and a dash, deletes the note", async () => {
+  for (const input of ["2", "#2 -"]) {
+    const { b } = boot(withNote);
+    await b.handleNoteInput(7, input);
+    assert.deepEqual(b.getUserState(7).notes, {}, input);
+  }
+});
+
+test("an unknown number or text without one changes nothing", async () => {
+  const { b, sent } = boot(withNote);
+
+  await b.handleNoteInput(7, "9 bin full");
+  assert.match(sent[0].args[1], /no item #9/);
+
+  await b.handleNoteInput(7, "bin full");
+  assert.match(sent[1].args[1], /Send the item number/);
+  assert.equal(b.getUserState(7).notePromptMsgId, 2);
+  assert.equal(b.getUserState(7).notes["b:keys"].text, "one key signed out");
+});
+
+test("a reply to the checklist needs the #n form; a bare number only deletes from the note prompt", async () => {
+  const { b } = boot(withNote);
+  const reply = (update_id, message_id, text) =>
+    b.bot.processUpdate({
+      update_id,
+      message: { message_id: 100 + update_id, chat: { id: 7, type: "private" }, from: { id: 7 }, text, reply_to_message: { message_id } },
+    });
+  Object.assign(b.getUserState(7), { checklistMsgId: 30, notePromptMsgId: 31 });
+
+  reply(1, 30, "2");
+  await settle();
+  assert.equal(b.getUserState(7).notes["b:keys"].text, "one key signed out");
+
+  reply(2, 30, "#1 bin full");
+  await settle();
+  assert.equal(b.getUserState(7).notes["b:desk"].text, "bin full");
+
+  reply(3, 31, "2");
+  await settle();
+  assert.equal(b.getUserState(7).notes["b:keys"], undefined);
+});
@@ -0,0 +1,32 @@
+// Runs each test/scenarios/*.scenario.js as the TRANSPORT_SCRIPT of a whole bot process (TRANSPORT=fake),
+// in a scratch copy so the offline data starts empty.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { scratchDir } = require("./helpers");
+
+const SCENARIOS = path.join(__dirname, "scenarios");
+
+for (const f of fs.readdirSync(SCENARIOS).filter((f) => f.endsWith(".scenario.js")).sort()) {
+  test(f, () => {
+    const dir = scratchDir();
+    const run = spawnSync(process.execPath, [path.join(dir, "checklist.js")], {
+      cwd: dir,
+      encoding: "utf8",
+      timeout: 60_000,
+      env: {
+        ...process.env,
+        TRANSPORT: "fake",
+        TRANSPORT_SCRIPT: path.join(SCENARIOS, f),
+        CHAT_ID: "-100",
+        OFFLINE_ADMINS: "1",
+        DURATION_MINUTES: "30",
+        STORAGE_BACKEND: "json",
+      },
+    });
+    assert.equal(run.status, 0, `${run.stdout}\n${run.stderr}`);
+    assert.match(run.stdout, /passed/);
+  });
+}
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const items = { sections: [{ title: "Meals", items: [{ id: "lunch", text: "Log lunch", due: ["12:30"] }] }] };
+
+test("items already overdue at boot alert once, across restarts", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T06:00:00Z") }); // 14:00 SGT
+  const b = loadBot({ data: {}, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  const sent = recordSends(b.bot);
+
+  await b.checkOverdueItems("-100");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].args[0], "-100");
+  assert.match(sent[0].args[1], /Overdue[\s\S]*Log lunch/);
+
+  await b.checkOverdueItems("-100");
+  assert.equal(sent.length, 1);
+
+  const restarted = loadBot({ dir: b.dir, env: { CHAT_ID: "-100" } });
+  const again = recordSends(restarted.bot);
+  await restarted.checkOverdueItems("-100");
+  assert.equal(again.length, 0);
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+const env = { CHAT_ID: "-100", SEND_MORNING_POLL: "true", MORNING_POLL_SGT_HOUR: "6", MORNING_POLL_SGT_MINUTE: "0" };
+
+test("a group's own poll time replaces the default", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-01T23:20:00Z") }); // 07:20 SGT
+  const b = loadBot({ data: {}, env });
+  const g = b.getGroup("-100");
+  assert.equal(b.shouldSendMorningPollNow(g), false);
+
+  g.poll = { enabled: true, hour: 7, minute: 15 };
+  assert.equal(b.shouldSendMorningPollNow(g), true);
+});
+
+test("a group can turn its poll off", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-01T22:05:00Z") }); // 06:05 SGT
+  const b = loadBot({ data: {}, env });
+  const g = b.getGroup("-100");
+  assert.equal(b.shouldSendMorningPollNow(g), true);
+
+  g.poll.enabled = false;
+  assert.equal(b.shouldSendMorningPollNow(g), false);
+});
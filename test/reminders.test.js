@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+const b = loadBot({ data: {}, env: { CHAT_ID: "-100", DURATION_MINUTES: "30", REMINDER_SCHEDULE: "" } });
+
+test("reminder marks parse and format back", () => {
+  assert.deepEqual(b.parseReminderSchedule("30, +45, -10!, end-5"), [
+    { fromEnd: false, minutes: 30, escalate: false },
+    { fromEnd: false, minutes: 45, escalate: false },
+    { fromEnd: true, minutes: 10, escalate: true },
+    { fromEnd: true, minutes: 5, escalate: false },
+  ]);
+  assert.equal(b.parseReminderSchedule("30,+45,-10!,end-5").map(b.formatReminderMark).join(","), "30,45,-10!,-5");
+});
+
+test("bad reminder schedules are rejected", () => {
+  assert.throws(() => b.parseReminderSchedule(""), /empty/);
+  assert.throws(() => b.parseReminderSchedule("10,soon"), /"soon" is not a reminder mark/);
+  assert.throws(() => b.parseReminderSchedule("-"), /not a reminder mark/);
+});
+
+test("marks outside the run are dropped", () => {
+  const [early, late, fromEnd, tooEarly] = b.parseReminderSchedule("10,30,-5,-40");
+  assert.equal(b.reminderMarkMinute(early), 10);
+  assert.equal(b.reminderMarkMinute(late), null);
+  assert.equal(b.reminderMarkMinute(fromEnd), 25);
+  assert.equal(b.reminderMarkMinute(tooEarly), null);
+});
+
+test("the default schedule reminds at least once inside DURATION_MINUTES", () => {
+  const inside = b.parseReminderSchedule(b.DEFAULT_REMINDER_SCHEDULE).map((mk) => b.reminderMarkMinute(mk));
+  assert.ok(inside.some((at) => at !== null && at < 30), `default marks fall at ${inside}`);
+  assert.doesNotMatch(b.describeReminderSchedule("-100"), /skipped/);
+});
+
+test("/help lists skipped marks as such", () => {
+  b.getDB().groups["-100"].reminderSchedule = "10,45!";
+  assert.equal(b.describeReminderSchedule("-100"), "10 min / 45 min ⚠️ (outside this run, skipped)");
+  b.getDB().groups["-100"].reminderSchedule = null;
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+const items = {
+  sections: [
+    { title: "Office", items: [{ id: "desk", text: "Clear desk, then bin" }, { id: "plants", text: "Water plants", required: false }] },
+  ],
+};
+
+test("the CSV shift report has one row per item, after the fixed header", () => {
+  const b = loadBot({ data: {}, files: { "base_items.json": items }, env: { CHAT_ID: "-100" } });
+  b.setActiveDuty(7, "-100", "Ana");
+  const shiftId = b.getDB().groups["-100"].duty.active.shiftId;
+  b.toggleItem(7, b.listItems("-100")[0]);
+  b.getUserState(7).notes["b:desk"] = { text: "bin full", atIso: new Date().toISOString() };
+  b.clearActiveDuty("-100", "test");
+
+  const [header, desk, plants, end] = b.buildShiftCsv(b.getShift(shiftId)).replace(/^﻿/, "").split("\r\n");
+  assert.equal(
+    header,
+    "duty_user,shift_start_sgt,shift_end_sgt,end_reason,no,section,item,required,status,due,ticked_at_sgt,evidence" +
+      ",timezone,shift_start,shift_end,ticked_at,template,note"
+  );
+  assert.match(desk, /^Ana,[\d-]+ [\d:]+,[\d-]+ [\d:]+,test,1,Office,"Clear desk, then bin",yes,done,,[\d-]+ [\d:]+,,Asia\/Singapore,.*,bin full$/);
+  assert.match(plants, /,2,Office,Water plants,no,not done,,,,Asia\/Singapore,[\d-]+ [\d:]+,[\d-]+ [\d:]+,,,$/);
+  assert.equal(end, "");
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const settle = () => new Promise((r) => setTimeout(r, 50));
+const TG_ADMIN = 1;
+
+// manageGroup moved down to editor, so an editor may hand out roles, but only up to their own.
+function rolesBot() {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100", ROLE_PERMISSIONS: "manageGroup=editor" } });
+  const sent = recordSends(b.bot);
+  b.bot.getChatMember = async (chatId, userId) => ({
+    status: userId === TG_ADMIN ? "administrator" : "member",
+    user: { id: userId, first_name: `user${userId}` },
+  });
+  b.getGroup("-100").roles = { 5: "editor", 6: "admin" };
+  return { b, sent };
+}
+
+let updateId = 0;
+async function say(b, from, text) {
+  b.bot.processUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: -100, type: "group" }, from: { id: from, first_name: `user${from}` }, text },
+  });
+  await settle();
+}
+
+test("an editor can give roles up to editor", async () => {
+  const { b, sent } = rolesBot();
+  await say(b, 5, "/role 9 editor");
+  assert.equal(b.getGroup("-100").roles[9], "editor");
+  assert.match(sent.at(-1).args[1], /✅/);
+});
+
+test("nobody grants a role above their own", async () => {
+  const { b, sent } = rolesBot();
+  await say(b, 5, "/role 9 admin");
+  assert.equal(b.getGroup("-100").roles[9], undefined);
+  assert.match(sent.at(-1).args[1], /cannot change the role/);
+});
+
+test("nobody demotes someone above them", async () => {
+  const { b } = rolesBot();
+  await say(b, 5, "/role 6 viewer");
+  await say(b, 5, `/role ${TG_ADMIN} viewer`);
+  assert.equal(b.getGroup("-100").roles[6], "admin");
+  assert.equal(b.getGroup("-100").roles[TG_ADMIN], undefined);
+
+  await say(b, TG_ADMIN, "/role 6 viewer");
+  assert.equal(b.getGroup("-100").roles[6], "viewer");
+});
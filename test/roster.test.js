@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends, readData } = require("./helpers");
+
+const settle = () => new Promise((r) => setTimeout(r, 50));
+const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000).toISOString();
+const todaySgt = () => new Date(Date.now() + 8 * 3600 * 1000).toISOString().slice(0, 10);
+
+// A registered group with an active shift; `extra` is merged into the group record.
+function groupData(extra = {}) {
+  const sinceIso = minutesAgo(30);
+  return {
+    users: {},
+    groups: {
+      "-100": {
+        id: "-100",
+        sharedExtra: [],
+        duty: { active: { userId: 7, groupChatId: "-100", sinceIso, shiftId: `${sinceIso}#7` }, handover: null },
+        ...extra,
+      },
+    },
+    history: [{ id: `${sinceIso}#7`, userId: 7, userName: "Ann", groupChatId: "-100", startIso: sinceIso, endIso: null, ticks: [] }],
+    meta: { version: 4 },
+  };
+}
+
+function quietBot(b) {
+  const sent = recordSends(b.bot);
+  b.bot.getChatMember = async (chatId, userId) => ({ user: { first_name: `user${userId}` } });
+  return sent;
+}
+
+test("roster CSV rows parse; the header row is skipped and bad rows are reported", () => {
+  const b = loadBot({ data: {} });
+  const { rows, errors } = b.parseRosterCsv("when,user_id,name\nmon,7,Ann\n2026-03-04,8\nsomeday,9\nfri,x");
+
+  assert.deepEqual(rows, [
+    { when: { weekday: "mon" }, entry: { userId: 7, name: "Ann" } },
+    { when: { date: "2026-03-04" }, entry: { userId: 8, name: null } },
+  ]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /line 4/);
+  assert.match(errors[1], /line 5: user_id/);
+});
+
+test("a handover timeout that came due while the bot was down is announced once after a restart", async () => {
+  const data = groupData();
+  data.groups["-100"].duty.handover = { fromUserId: 7, toUserId: 8, toName: "Ben", groupChatId: "-100", requestedIso: minutesAgo(10) };
+  const b = loadBot({ data });
+  const sent = quietBot(b);
+
+  b.armHandoverTimeout("-100");
+  await settle();
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].args[1], /No HOTO confirmation from user7/);
+  assert.ok(readData(b.dir).groups["-100"].duty.handover.timeoutSentIso);
+
+  const restarted = loadBot({ dir: b.dir });
+  const again = quietBot(restarted);
+  restarted.armHandoverTimeout("-100");
+  await settle();
+  assert.equal(again.length, 0);
+});
+
+test("a roster acknowledgement ping survives a restart and is sent once", async () => {
+  const today = todaySgt();
+  const roster = { dates: { [today]: { userId: 7, name: "Ann" } }, ackPingDue: { dateStr: today, userId: 7, atIso: minutesAgo(1) } };
+  const b = loadBot({ data: groupData({ roster }) });
+  const sent = quietBot(b);
+
+  b.armRosterAckPing("-100");
+  await settle();
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].args[1], /has not acknowledged duty/);
+  assert.equal(readData(b.dir).groups["-100"].roster.ackPingDue, null);
+});
+
+test("a ping left over from an earlier day is dropped", async () => {
+  const roster = { ackPingDue: { dateStr: "2020-01-01", userId: 7, atIso: "2020-01-01T02:00:00.000Z" } };
+  const b = loadBot({ data: groupData({ roster }) });
+  const sent = quietBot(b);
+
+  b.armRosterAckPing("-100");
+  await settle();
+  assert.equal(sent.length, 0);
+  assert.equal(readData(b.dir).groups["-100"].roster.ackPingDue, null);
+});
+
+test("at midnight the next day's rostered user takes over", async (t) => {
+  // setTimeout too: the acknowledgement ping it arms must not outlive the test.
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"], now: Date.parse("2026-03-02T16:00:05Z") }); // 00:00 SGT, 3 March
+  const roster = { dates: { "2026-03-02": { userId: 7, name: "Ann" }, "2026-03-03": { userId: 8, name: "Ben" } } };
+  const b = loadBot({ data: groupData({ roster }) });
+  const sent = quietBot(b);
+
+  await b.startRosterDay("-100");
+  const g = b.getDB().groups["-100"];
+  assert.equal(g.duty.active.userId, 8);
+  assert.equal(b.getDB().history[0].endReason, "roster: next duty day");
+  assert.ok(sent.some((c) => c.method === "sendDocument"));
+  assert.equal(g.roster.ackPingDue.userId, 8);
+
+  await b.startRosterDay("-100");
+  assert.equal(b.getDB().history.length, 2);
+});
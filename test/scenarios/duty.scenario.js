@@ -0,0 +1,32 @@
+// Start Duty from the group, tick an item in DM, shut down: the offline notice and the shift report carry the tick.
+const assert = require("node:assert/strict");
+
+const GROUP = -100; // CHAT_ID of offline runs (see test/offline.test.js)
+const DUTY = 2;
+
+module.exports = async (o) => {
+  const lastTo = (chatId) => o.sent.filter((c) => String(c.params.chat_id) === String(chatId)).at(-1);
+  const keyboard = () =>
+    o.sent.filter((c) => c.params.chat_id == DUTY && c.params.reply_markup?.keyboard).at(-1).params.reply_markup.keyboard.flat().map((b) => b.text);
+
+  await o.dm(DUTY, "/start");
+  await o.group(DUTY, "/start");
+  assert.match(lastTo(GROUP).params.text, /Start Duty|start duty/);
+
+  await o.tap(DUTY, "start_duty", GROUP);
+  assert.match(lastTo(DUTY).params.text, /Your checklist/);
+  const item = keyboard().find((t) => t.includes("#1:"));
+  assert.ok(item?.startsWith("⬜️"), `item #1 starts unticked: ${item}`);
+
+  await o.dm(DUTY, item);
+  assert.ok(keyboard().some((t) => t.startsWith("✅ #1:")), "item #1 is ticked on the keyboard");
+
+  const before = o.sent.length;
+  return () => {
+    const group = o.sent.slice(before).filter((c) => String(c.params.chat_id) === String(GROUP));
+    const offline = group.find((c) => c.method === "sendMessage" && /Offline/.test(c.params.text));
+    assert.ok(offline, "offline notice sent to the group");
+    assert.match(offline.params.text, /⏳ 1\/\d+ done/);
+    assert.ok(group.some((c) => c.method === "sendDocument" && /Shift report .* 1\/\d+$/.test(c.params.caption || "")), "shift report sent");
+  };
+};
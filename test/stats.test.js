@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot } = require("./helpers");
+
+test("stats periods: days, weeks, months, a bare number or all", () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  assert.deepEqual(b.parseStatsPeriod(""), { days: 30 });
+  assert.deepEqual(b.parseStatsPeriod("7d"), { days: 7 });
+  assert.deepEqual(b.parseStatsPeriod("4W"), { days: 28 });
+  assert.deepEqual(b.parseStatsPeriod("3m"), { days: 90 });
+  assert.deepEqual(b.parseStatsPeriod("10"), { days: 10 });
+  assert.deepEqual(b.parseStatsPeriod("all"), { days: null });
+  for (const bad of ["0", "0d", "5y", "week", "-3"]) assert.equal(b.parseStatsPeriod(bad), null, bad);
+});
+
+// Shifts an hour apart, oldest first; `done` says which of desk (required) and plants (optional) were ticked.
+function statsBot(shifts) {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  const start = Date.now() - 24 * 60 * 60 * 1000;
+  b.getDB().history = shifts.map(([userId, desk, plants], i) => ({
+    id: `s${i}`,
+    userId,
+    userName: `user${userId}`,
+    groupChatId: "-100",
+    startIso: new Date(start + i * 3600_000).toISOString(),
+    endIso: new Date(start + i * 3600_000 + 1800_000).toISOString(),
+    ticks: [],
+    final: {
+      doneCount: desk ? 1 : 0,
+      total: 1,
+      complete: desk,
+      items: [
+        { key: "b:desk", text: "Clear desk", required: true, done: desk },
+        { key: "b:plants", text: "Water plants", required: false, done: plants },
+      ],
+    },
+  }));
+  return b;
+}
+
+test("the streak counts complete shifts up to the latest; best keeps the longest run", () => {
+  const b = statsBot([[7, true, false], [8, true, false], [7, false, false], [8, true, true], [7, true, false]]);
+  const { group, users } = b.completionStats("-100", 30);
+
+  assert.deepEqual([group.complete, group.streak, group.best], [4, 2, 2]);
+  const ana = users.find((u) => u.userId === 7);
+  assert.deepEqual([ana.shifts, ana.complete, ana.streak, ana.best], [3, 2, 1, 1]);
+  const ben = users.find((u) => u.userId === 8);
+  assert.deepEqual([ben.streak, ben.best], [2, 2]);
+});
+
+test("most missed ranks required items; skipped optional items are listed apart", () => {
+  const b = statsBot([[7, true, false], [8, false, false]]);
+  const text = b.statsText("-100", b.completionStats("-100", 30));
+  const [most, optional] = text.split("<b>Optional items skipped</b>");
+
+  assert.match(most, /<b>Most missed<\/b>\n• Clear desk — missed 1\/2\n\n/);
+  assert.doesNotMatch(most, /Water plants/);
+  assert.match(optional, /• Water plants — missed 2\/2/);
+});
+
+test("with only optional items skipped, nothing required is reported missed", () => {
+  const b = statsBot([[7, true, false]]);
+  const text = b.statsText("-100", b.completionStats("-100", 30));
+  assert.match(text, /No required item missed/);
+  assert.match(text, /Optional items skipped<\/b>\n• Water plants/);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadBot, readData } = require("./helpers");
+
+const hasSqlite = (() => {
+  try {
+    require("node:sqlite");
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const user = { done: { "b:desk": true } };
+const backupsOf = (dir) => fs.readdirSync(path.join(dir, "checklists.backups")).sort();
+
+test("a corrupt checklists.json is kept aside and the newest readable backup restored", () => {
+  const b = loadBot({
+    files: {
+      "checklists.json": '{"users": {"7": ',
+      "checklists.backups/checklists-2026-03-01T00-00-00-000Z.json": { users: { 7: user } },
+      "checklists.backups/checklists-2026-03-02T00-00-00-000Z.json": "not json",
+    },
+  });
+
+  assert.deepEqual(b.getDB().users[7].done, user.done);
+  assert.deepEqual(readData(b.dir).users[7].done, user.done);
+  assert.ok(fs.readdirSync(b.dir).some((f) => f.startsWith("checklists.json.corrupt-")));
+});
+
+test("backups rotate down to DATA_BACKUP_KEEP", () => {
+  const files = { "checklists.json": { users: { 7: user } } };
+  for (const day of ["01", "02", "03"]) files[`checklists.backups/checklists-2026-03-${day}T00-00-00-000Z.json`] = {};
+  const b = loadBot({ files, env: { DATA_BACKUP_KEEP: "2" } });
+
+  const kept = backupsOf(b.dir);
+  assert.equal(kept.length, 2);
+  assert.equal(kept[0], "checklists-2026-03-03T00-00-00-000Z.json");
+});
+
+test("a data file locked by another live process is refused; a stale lock is taken over", () => {
+  const b = loadBot({ data: {} });
+  const file = path.join(b.dir, "other.json");
+
+  fs.writeFileSync(`${file}.lock`, String(process.ppid));
+  assert.throws(() => b.acquireDataLock(file), /in use by process/);
+
+  fs.writeFileSync(`${file}.lock`, "4194999"); // above Linux's pid_max, so never a live process
+  const release = b.acquireDataLock(file);
+  assert.equal(fs.readFileSync(`${file}.lock`, "utf8"), String(process.pid));
+  release();
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test("SQLite imports checklists.json once, then keeps its own data", { skip: !hasSqlite && "needs node:sqlite" }, () => {
+  const env = { STORAGE_BACKEND: "sqlite" };
+  const b = loadBot({ data: { users: { 7: user } }, env });
+  assert.deepEqual(b.getDB().users[7].done, user.done);
+
+  const { DatabaseSync } = require("node:sqlite");
+  const db = new DatabaseSync(path.join(b.dir, "checklists.sqlite"));
+  assert.equal(db.prepare("PRAGMA user_version").get().user_version, 1);
+  db.close();
+
+  // Later edits to checklists.json are not imported again.
+  fs.writeFileSync(path.join(b.dir, "checklists.json"), JSON.stringify({ users: { 8: user } }));
+  const restarted = loadBot({ dir: b.dir, env });
+  assert.deepEqual(restarted.getDB().users[7].done, user.done);
+  assert.equal(restarted.getDB().users[8], undefined);
+
+  delete restarted.getDB().users[7];
+  restarted.saveData(restarted.getDB());
+  assert.equal(loadBot({ dir: b.dir, env }).getDB().users[7], undefined);
+});
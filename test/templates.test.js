@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadBot } = require("./helpers");
+
+const at = (iso) => Date.parse(iso); // SGT is UTC+8
+const files = {
+  "templates/night.json": { title: "Night", auto: { from: "22:00", until: "06:00" }, sections: [{ title: "Close", items: [{ id: "lock", text: "Lock up" }] }] },
+  "templates/weekend.json": { title: "Weekend", auto: { days: ["sat", "sun"] }, sections: [{ title: "Gate", items: [{ id: "lock", text: "Lock the gate" }] }] },
+};
+const templateBot = () => loadBot({ data: {}, files, env: { CHAT_ID: "-100" } });
+
+test("auto rules: overnight windows wrap past midnight, days match the local weekday", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: at("2026-03-02T15:00:00Z") }); // Mon 23:00
+  const b = templateBot();
+  assert.equal(b.autoTemplate("-100"), "night");
+
+  t.mock.timers.setTime(at("2026-03-02T21:30:00Z")); // Tue 05:30
+  assert.equal(b.autoTemplate("-100"), "night");
+  t.mock.timers.setTime(at("2026-03-03T04:00:00Z")); // Tue 12:00
+  assert.equal(b.autoTemplate("-100"), null);
+  t.mock.timers.setTime(at("2026-03-07T04:00:00Z")); // Sat 12:00
+  assert.equal(b.autoTemplate("-100"), "weekend");
+});
+
+test("template items have keys of their own, so the same id is ticked apart", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: at("2026-03-02T15:00:00Z") });
+  const b = templateBot();
+  b.setActiveDuty(7, "-100", "Ana");
+  const [lock] = b.listItems("-100");
+  assert.equal(lock.key, "b:night/lock");
+
+  b.toggleItem(7, lock);
+  b.setGroupTemplate(b.getGroup("-100"), "weekend", true);
+  const [gate] = b.listItems("-100");
+  assert.equal(gate.key, "b:weekend/lock");
+  assert.deepEqual(Object.keys(b.getUserState(7).done), ["b:night/lock"]);
+});
+
+test("a template picked by hand lasts until the auto rules pick another one", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: at("2026-03-02T15:00:00Z") }); // Mon 23:00 → night
+  const b = templateBot();
+  const g = b.getGroup("-100");
+  b.setActiveDuty(7, "-100", "Ana");
+  b.setGroupTemplate(g, "weekend", true);
+
+  b.setActiveDuty(8, "-100", "Ben"); // handover within the night window
+  assert.equal(g.template, "weekend");
+
+  t.mock.timers.setTime(at("2026-03-03T04:00:00Z")); // Tue 12:00 → no template
+  b.setActiveDuty(7, "-100", "Ana");
+  assert.equal(g.template, null);
+  assert.equal(g.templatePick, null);
+});
+
+test("an edited template file is picked up without a restart", () => {
+  const b = templateBot();
+  assert.equal(b.listTemplates().get("night").title, "Night");
+
+  const file = path.join(b.dir, "templates/night.json");
+  fs.writeFileSync(file, JSON.stringify({ ...files["templates/night.json"], title: "Night shift" }));
+  const later = new Date(Date.now() + 60_000);
+  fs.utimesSync(file, later, later);
+  assert.equal(b.listTemplates().get("night").title, "Night shift");
+
+  fs.rmSync(path.join(b.dir, "templates/weekend.json"));
+  assert.deepEqual([...b.listTemplates().keys()], ["night"]);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+// 2026-03-02 06:00 in New York (UTC-5) is already 19:00 in Singapore.
+const NY_SIX = Date.parse("2026-03-02T11:00:00Z");
+
+function nyBot(env = {}) {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100", ...env } });
+  b.getGroup("-100").timezone = "America/New_York";
+  return b;
+}
+
+test("/timezone takes an IANA name from an admin and rejects anything else", async () => {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  const sent = recordSends(b.bot);
+  b.bot.getChatMember = async (chatId, userId) => ({ status: "administrator", user: { id: userId } });
+  const say = async (id, text) => {
+    b.bot.processUpdate({
+      update_id: id,
+      message: { message_id: id, date: 0, chat: { id: -100, type: "group" }, from: { id: 1, first_name: "Ana" }, text },
+    });
+    await settle();
+  };
+
+  await say(1, "/timezone europe/london");
+  assert.equal(b.getGroup("-100").timezone, "Europe/London");
+  await say(2, "/timezone Mars/Olympus");
+  assert.equal(b.getGroup("-100").timezone, "Europe/London");
+  assert.match(sent.at(-1).args[1], /Usage/);
+  await say(3, "/timezone reset");
+  assert.equal(b.getGroup("-100").timezone, null);
+});
+
+test("the morning poll goes out at the group's local time", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: NY_SIX });
+  const b = nyBot({ SEND_MORNING_POLL: "true" });
+  assert.equal(b.shouldSendMorningPollNow(b.getGroup("-100")), true);
+
+  b.getGroup("-100").timezone = null;
+  assert.equal(b.shouldSendMorningPollNow(b.getGroup("-100")), false);
+});
+
+test("today in an extra's schedule is the group's date", (t) => {
+  // 2026-03-02 20:00 in New York is 2026-03-03 in Singapore.
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-03T01:00:00Z") });
+  const b = nyBot();
+  assert.deepEqual(b.parseExtraTask("Lock the gate | today", "America/New_York").schedule, { from: "2026-03-02", until: "2026-03-02" });
+  assert.deepEqual(b.parseExtraTask("Lock the gate | today").schedule, { from: "2026-03-03", until: "2026-03-03" });
+});
+
+test("the CSV keeps its SGT columns and adds the group's local times", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: NY_SIX });
+  const b = nyBot();
+  b.setActiveDuty(7, "-100", "Ana");
+  const shiftId = b.getGroup("-100").duty.active.shiftId;
+  b.clearActiveDuty("-100", "test");
+
+  const row = b.buildShiftCsv(b.getShift(shiftId)).split("\r\n")[1].split(",");
+  assert.equal(row[1], "2026-03-02 19:00");
+  assert.deepEqual(row.slice(-6, -3), ["America/New_York", "2026-03-02 06:00", "2026-03-02 06:00"]);
+});
+
+test("help shows a feature's line only while the feature is on", () => {
+  const off = loadBot({ data: {}, env: { CHAT_ID: "-100", SEND_ATTENDANCE_SUMMARY: "false", ROSTER_AUTO_ASSIGN: "false" } });
+  off.getGroup("-100").reminderSchedule = "30";
+  const text = off.helpText(false, "-100");
+  assert.doesNotMatch(text, /Attendance summary:|also tags group admins|• Roster:/);
+  assert.doesNotMatch(text, /\{\w+\}/);
+
+  const on = loadBot({ data: {}, env: { CHAT_ID: "-100", SEND_ATTENDANCE_SUMMARY: "true", ROSTER_AUTO_ASSIGN: "true", ROSTER_ACK_MINUTES: "0" } });
+  on.getGroup("-100").reminderSchedule = "30,-5!";
+  const full = on.helpText(false, "-100");
+  assert.match(full, /Attendance summary: posted under the morning poll at \d\d:\d\d/);
+  assert.match(full, /also tags group admins/);
+  assert.match(full, /• Roster: the rostered user gets duty at startup if nobody holds it, and takes over at midnight [^;]*\.$/m);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends } = require("./helpers");
+
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+function trashBot() {
+  const b = loadBot({ data: {}, env: { CHAT_ID: "-100" } });
+  const sent = recordSends(b.bot, ["sendMessage", "editMessageText", "editMessageReplyMarkup", "answerCallbackQuery"]);
+  b.bot.getChatMember = async (chatId, userId) => ({ status: "administrator", user: { id: userId, first_name: `user${userId}` } });
+  return { b, sent };
+}
+
+test("undoing an add trashes the extra with the ticks others made meanwhile", async () => {
+  const { b } = trashBot();
+  const extra = b.addSharedExtraTask("-100", "Lock the gate", { userId: 7, name: "Ana" });
+  const other = b.getUserState(8);
+  other.groupId = "-100";
+  other.done[`x:${extra.id}`] = true;
+
+  b.bot.processUpdate({
+    update_id: 1,
+    callback_query: { id: "q1", from: { id: 7, first_name: "Ana" }, data: `undo:add:-100:${extra.id}`, message: { message_id: 40, chat: { id: 7, type: "private" } } },
+  });
+  await settle();
+
+  const g = b.getGroup("-100");
+  assert.deepEqual(g.sharedExtra, []);
+  assert.equal(g.trash[0].id, extra.id);
+  assert.deepEqual(g.trash[0].done, { 8: true });
+});
+
+test("a long trash stays under Telegram's message limit", () => {
+  const { b } = trashBot();
+  for (let i = 0; i < 40; i++) {
+    const extra = b.addSharedExtraTask("-100", `${i} ${"&".repeat(500)}`, null);
+    b.removeSharedExtraTask("-100", extra.id, { by: { userId: 7, name: "<".repeat(300) } });
+  }
+
+  const view = b.trashMessage(b.getGroup("-100"));
+  assert.ok(view.text.length < 4096, String(view.text.length));
+  assert.match(view.text, /…and \d+ more/);
+  assert.ok(view.reply_markup.inline_keyboard.length <= 20);
+});
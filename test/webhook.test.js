@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBot, recordSends, readData } = require("./helpers");
+
+const env = { BOT_MODE: "webhook", WEBHOOK_URL: "https://bot.example/tg", WEBHOOK_SECRET: "s3cret", ROSTER_DAY_START_SGT: "06:00" };
+
+function groupData(duty, roster = {}) {
+  return {
+    users: {},
+    groups: { "-100": { id: "-100", sharedExtra: [], duty, roster } },
+    history: [],
+    meta: { version: 4 },
+  };
+}
+
+function quietBot(b) {
+  const sent = recordSends(b.bot);
+  b.bot.getChatMember = async (chatId, userId) => ({ user: { first_name: `user${userId}` } });
+  return sent;
+}
+
+test("a handover pending across a restart times out from the scheduler, once", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T02:00:00Z") });
+  const requestedIso = new Date(Date.now() - 3 * 60 * 1000).toISOString();
+  const handover = { fromUserId: 7, toUserId: 8, toName: "Ben", groupChatId: "-100", requestedIso };
+  const b = loadBot({ data: groupData({ active: null, handover }), env: { ...env, HANDOVER_TIMEOUT_MINUTES: "5" } });
+  const sent = quietBot(b);
+
+  await b.announceDueHandoverTimeout(b.getGroup("-100"));
+  assert.equal(sent.length, 0, "not due yet");
+
+  // The bot restarts, and the timeout passes while it is down.
+  t.mock.timers.setTime(Date.now() + 10 * 60 * 1000);
+  const restarted = loadBot({ dir: b.dir, env: { ...env, HANDOVER_TIMEOUT_MINUTES: "5" } });
+  const after = quietBot(restarted);
+  await restarted.announceDueHandoverTimeout(restarted.getGroup("-100"));
+  await restarted.announceDueHandoverTimeout(restarted.getGroup("-100"));
+  assert.equal(after.length, 1);
+  assert.match(after[0].args[1], /No HOTO confirmation from user7 after 5 min/);
+  assert.ok(readData(b.dir).groups["-100"].duty.handover.timeoutSentIso);
+});
+
+test("the roster day starts once, at ROSTER_DAY_START_SGT", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T21:30:00Z") }); // 05:30 SGT, 3 March
+  const roster = { dates: { "2026-03-03": { userId: 8, name: "Ben" } } };
+  const b = loadBot({ data: groupData({ active: null, handover: null }, roster), env });
+  quietBot(b);
+
+  await b.startRosterDayIfDue(b.getGroup("-100"));
+  assert.equal(b.getGroup("-100").duty.active, null);
+
+  t.mock.timers.setTime(Date.parse("2026-03-02T22:00:00Z")); // 06:00 SGT
+  await b.startRosterDayIfDue(b.getGroup("-100"));
+  assert.equal(b.getGroup("-100").duty.active.userId, 8);
+  assert.equal(b.getGroup("-100").roster.assignedDateSgt, "2026-03-03");
+  assert.ok(b.getGroup("-100").roster.ackPingDue, "left to the scheduler");
+});